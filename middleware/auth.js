@@ -1,6 +1,8 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const Admin = require('../models/Admin');
+const { clearExpiredSuspension } = require('../services/moderation');
+const { touch } = require('../services/presence');
 
 // Generate JWT token
 const generateToken = (id, type = 'user') => {
@@ -18,6 +20,21 @@ const verifyToken = (token) => {
     }
 };
 
+// Respond with the details of an active suspension so clients can show when it ends
+const sendSuspended = (res, user) => {
+    const suspension = user.getActiveSuspension();
+
+    return res.status(403).json({
+        success: false,
+        message: 'Account is suspended',
+        code: 'ACCOUNT_SUSPENDED',
+        data: {
+            suspendedUntil: user.suspendedUntil,
+            reason: suspension ? suspension.reason : null
+        }
+    });
+};
+
 // Protect user routes
 const protectUser = async (req, res, next) => {
     try {
@@ -59,6 +76,13 @@ const protectUser = async (req, res, next) => {
             });
         }
 
+        if (user.isSuspended()) {
+            return sendSuspended(res, user);
+        }
+
+        await clearExpiredSuspension(user);
+        touch(user);
+
         req.user = user;
         next();
     } catch (error) {
@@ -155,7 +179,7 @@ const optionalAuth = async (req, res, next) => {
 
             if (decoded.type === 'user') {
                 const user = await User.findById(decoded.id).select('-password');
-                if (user && user.isActive && !user.isBlocked) {
+                if (user && user.isActive && !user.isBlocked && !user.isSuspended()) {
                     req.user = user;
                 }
             }
@@ -171,6 +195,7 @@ const optionalAuth = async (req, res, next) => {
 module.exports = {
     generateToken,
     verifyToken,
+    sendSuspended,
     protectUser,
     protectAdmin,
     checkPermission,
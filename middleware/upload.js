@@ -0,0 +1,49 @@
+const multer = require('multer');
+
+// Accept a single file in memory. Size and type problems are answered like
+// validation errors instead of reaching the global error handler.
+const uploadSingle = (field, { maxSize, mimeTypes }) => {
+    const upload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: maxSize, files: 1 },
+        fileFilter: (req, file, cb) => {
+            if (!mimeTypes.includes(file.mimetype)) {
+                const error = new Error(`Only ${mimeTypes.join(', ')} files are allowed`);
+                error.status = 400;
+                return cb(error);
+            }
+            cb(null, true);
+        }
+    }).single(field);
+
+    return (req, res, next) => {
+        upload(req, res, (error) => {
+            if (error) {
+                let message = error.message;
+                if (error.code === 'LIMIT_FILE_SIZE') {
+                    message = `File cannot exceed ${Math.round(maxSize / (1024 * 1024))} MB`;
+                } else if (error instanceof multer.MulterError) {
+                    message = `Upload a single file in the "${field}" field`;
+                }
+
+                return res.status(error.status || 400).json({
+                    success: false,
+                    message
+                });
+            }
+
+            if (!req.file) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'File is required'
+                });
+            }
+
+            next();
+        });
+    };
+};
+
+module.exports = {
+    uploadSingle
+};
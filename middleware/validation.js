@@ -1,4 +1,5 @@
 const { body, param, query, validationResult } = require('express-validator');
+const { isValidTimeZone } = require('../utils/timezone');
 
 // Handle validation errors
 const handleValidationErrors = (req, res, next) => {
@@ -80,6 +81,11 @@ const validateProfileUpdate = [
         .isLength({ max: 30 })
         .withMessage('Each interest cannot exceed 30 characters'),
 
+    body('timezone')
+        .optional()
+        .custom(isValidTimeZone)
+        .withMessage('Please provide a valid time zone'),
+
     handleValidationErrors
 ];
 
@@ -96,6 +102,105 @@ const validateLocation = [
     handleValidationErrors
 ];
 
+// Travel mode validation; a city or a pair of coordinates is checked in the service
+const validateTravel = [
+    body('cityId')
+        .optional()
+        .isString()
+        .isLength({ max: 50 })
+        .withMessage('Invalid city'),
+
+    body('latitude')
+        .optional()
+        .isFloat({ min: -90, max: 90 })
+        .withMessage('Latitude must be between -90 and 90'),
+
+    body('longitude')
+        .optional()
+        .isFloat({ min: -180, max: 180 })
+        .withMessage('Longitude must be between -180 and 180'),
+
+    body('days')
+        .optional()
+        .isInt({ min: 1, max: 30 })
+        .withMessage('Trips can last between 1 and 30 days'),
+
+    handleValidationErrors
+];
+
+// Push preferences validation
+const validatePushPreferences = [
+    body(['matches', 'messages', 'likes', 'account', 'premium'])
+        .optional()
+        .isBoolean()
+        .withMessage('Preference must be a boolean'),
+
+    handleValidationErrors
+];
+
+// Privacy settings validation
+const validatePrivacySettings = [
+    body('showPresence')
+        .optional()
+        .isBoolean()
+        .withMessage('showPresence must be a boolean'),
+
+    handleValidationErrors
+];
+
+// Discovery preferences validation
+const validateDiscoveryPreferences = [
+    body('genders')
+        .optional()
+        .isArray()
+        .withMessage('genders must be an array'),
+
+    body('genders.*')
+        .isIn(['male', 'female', 'non-binary', 'other'])
+        .withMessage('Please select a valid gender'),
+
+    body(['minAge', 'maxAge'])
+        .optional()
+        .isInt({ min: 18, max: 100 })
+        .withMessage('Age must be between 18 and 100'),
+
+    body('maxDistance')
+        .optional()
+        .isInt({ min: 1, max: 500 })
+        .withMessage('Distance must be between 1 and 500 km'),
+
+    body('verifiedOnly')
+        .optional()
+        .isBoolean()
+        .withMessage('verifiedOnly must be a boolean'),
+
+    handleValidationErrors
+];
+
+// Device registration validation
+const validateDeviceRegistration = [
+    body('token')
+        .isString()
+        .isLength({ min: 1, max: 4096 })
+        .withMessage('Device token is required'),
+
+    body('platform')
+        .isIn(['ios', 'android', 'web'])
+        .withMessage('Platform must be ios, android or web'),
+
+    body('appVersion')
+        .optional()
+        .isLength({ max: 30 })
+        .withMessage('App version cannot exceed 30 characters'),
+
+    body('locale')
+        .optional()
+        .matches(/^[a-zA-Z]{2,3}([-_][a-zA-Z0-9]{2,8})*$/)
+        .withMessage('Please provide a valid locale'),
+
+    handleValidationErrors
+];
+
 // Like/Dislike validation
 const validateLikeDislike = [
     body('targetUserId')
@@ -105,17 +210,50 @@ const validateLikeDislike = [
     handleValidationErrors
 ];
 
-// Chat message validation
-const validateChatMessage = [
+// Run validation rules against plain data outside of Express (e.g. socket events).
+// Returns the sanitized data and the errors in the same shape as the REST API.
+const runValidation = async (rules, data) => {
+    const req = { body: { ...data } };
+    await Promise.all(rules.map(rule => rule.run(req)));
+
+    const errors = validationResult(req);
+    return {
+        data: req.body,
+        errors: errors.array().map(error => ({
+            field: error.path,
+            message: error.msg
+        }))
+    };
+};
+
+// Chat message rules, shared by the REST API and the socket server
+const chatMessageRules = [
     body('message')
         .trim()
         .isLength({ min: 1, max: 1000 })
         .withMessage('Message must be between 1 and 1000 characters'),
 
+    // Images and GIFs go through the media upload
     body('messageType')
         .optional()
-        .isIn(['text', 'image', 'gif', 'emoji'])
-        .withMessage('Invalid message type'),
+        .isIn(['text', 'emoji'])
+        .withMessage('Invalid message type')
+];
+
+// Chat message validation
+const validateChatMessage = [
+    ...chatMessageRules,
+
+    handleValidationErrors
+];
+
+// Chat media caption validation
+const validateMediaCaption = [
+    body('caption')
+        .optional()
+        .trim()
+        .isLength({ max: 1000 })
+        .withMessage('Caption cannot exceed 1000 characters'),
 
     handleValidationErrors
 ];
@@ -143,6 +281,44 @@ const validateReport = [
         .isLength({ max: 1000 })
         .withMessage('Description cannot exceed 1000 characters'),
 
+    body('evidence')
+        .optional()
+        .isArray({ max: 5 })
+        .withMessage('Maximum 5 pieces of evidence allowed'),
+
+    body('evidence.*')
+        .isURL()
+        .withMessage('Evidence must be a valid URL'),
+
+    handleValidationErrors
+];
+
+// Report resolution validation
+const validateReportResolution = [
+    body('action')
+        .isIn(['warning', 'temporary_ban', 'permanent_ban', 'no_action'])
+        .withMessage('Please select a valid action'),
+
+    body('durationDays')
+        .optional()
+        .isInt({ min: 1, max: 365 })
+        .withMessage('Suspension must be between 1 and 365 days'),
+
+    body('notes')
+        .optional()
+        .isLength({ max: 1000 })
+        .withMessage('Notes cannot exceed 1000 characters'),
+
+    handleValidationErrors
+];
+
+// Report dismissal validation
+const validateReportDismissal = [
+    body('notes')
+        .optional()
+        .isLength({ max: 1000 })
+        .withMessage('Notes cannot exceed 1000 characters'),
+
     handleValidationErrors
 ];
 
@@ -160,6 +336,98 @@ const validateAdminLogin = [
     handleValidationErrors
 ];
 
+// User suspension validation
+const validateSuspension = [
+    body('durationDays')
+        .isInt({ min: 1, max: 365 })
+        .withMessage('Suspension must be between 1 and 365 days'),
+
+    body('reason')
+        .optional()
+        .isLength({ max: 500 })
+        .withMessage('Reason cannot exceed 500 characters'),
+
+    handleValidationErrors
+];
+
+// Permissions an admin can be granted (mirrors models/Admin.js)
+const ADMIN_PERMISSIONS = [
+    'manage_users',
+    'manage_reports',
+    'manage_premium',
+    'view_analytics',
+    'manage_admins',
+    'manage_content'
+];
+
+// Admin creation validation
+const validateAdminCreate = [
+    body('username')
+        .trim()
+        .isLength({ min: 3, max: 30 })
+        .withMessage('Username must be between 3 and 30 characters'),
+
+    body('email')
+        .isEmail()
+        .normalizeEmail()
+        .withMessage('Please provide a valid email'),
+
+    body('password')
+        .isLength({ min: 8 })
+        .withMessage('Password must be at least 8 characters'),
+
+    body('role')
+        .optional()
+        .isIn(['super_admin', 'admin', 'moderator'])
+        .withMessage('Please select a valid role'),
+
+    body('permissions')
+        .optional()
+        .isArray()
+        .withMessage('Permissions must be an array'),
+
+    body('permissions.*')
+        .isIn(ADMIN_PERMISSIONS)
+        .withMessage('Invalid permission'),
+
+    handleValidationErrors
+];
+
+// Admin update validation
+const validateAdminUpdate = [
+    body('email')
+        .optional()
+        .isEmail()
+        .normalizeEmail()
+        .withMessage('Please provide a valid email'),
+
+    body('password')
+        .optional()
+        .isLength({ min: 8 })
+        .withMessage('Password must be at least 8 characters'),
+
+    body('role')
+        .optional()
+        .isIn(['super_admin', 'admin', 'moderator'])
+        .withMessage('Please select a valid role'),
+
+    body('permissions')
+        .optional()
+        .isArray()
+        .withMessage('Permissions must be an array'),
+
+    body('permissions.*')
+        .isIn(ADMIN_PERMISSIONS)
+        .withMessage('Invalid permission'),
+
+    body('isActive')
+        .optional()
+        .isBoolean()
+        .withMessage('isActive must be a boolean'),
+
+    handleValidationErrors
+];
+
 // Pagination validation
 const validatePagination = [
     query('page')
@@ -176,6 +444,26 @@ const validatePagination = [
 ];
 
 // ObjectId validation
+const validateDeckRequest = [
+    query('cursor')
+        .optional()
+        .isString()
+        .isLength({ max: 100 })
+        .withMessage('Invalid cursor'),
+
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 100 })
+        .withMessage('Limit must be between 1 and 100'),
+
+    query('maxDistance')
+        .optional()
+        .isInt({ min: 1, max: 500 })
+        .withMessage('Distance must be between 1 and 500 km'),
+
+    handleValidationErrors
+];
+
 const validateObjectId = [
     param('id')
         .isMongoId()
@@ -184,6 +472,56 @@ const validateObjectId = [
     handleValidationErrors
 ];
 
+// Match ID validation
+const validateMatchId = [
+    param('matchId')
+        .isMongoId()
+        .withMessage('Invalid match ID'),
+
+    handleValidationErrors
+];
+
+// Message ID validation
+const validateMessageId = [
+    param('messageId')
+        .isMongoId()
+        .withMessage('Invalid message ID'),
+
+    handleValidationErrors
+];
+
+// Photo ID validation
+const validatePhotoId = [
+    param('photoId')
+        .isMongoId()
+        .withMessage('Invalid photo ID'),
+
+    handleValidationErrors
+];
+
+// Photo order validation
+const validatePhotoOrder = [
+    body('photoIds')
+        .isArray({ min: 1 })
+        .withMessage('photoIds must be a non-empty array'),
+
+    body('photoIds.*')
+        .isMongoId()
+        .withMessage('Invalid photo ID'),
+
+    handleValidationErrors
+];
+
+// Photo rejection validation
+const validatePhotoRejection = [
+    body('reason')
+        .trim()
+        .isLength({ min: 1, max: 500 })
+        .withMessage('Reason must be between 1 and 500 characters'),
+
+    handleValidationErrors
+];
+
 // Premium purchase validation
 const validatePremiumPurchase = [
     body('plan')
@@ -197,17 +535,57 @@ const validatePremiumPurchase = [
     handleValidationErrors
 ];
 
+// Payment verification validation
+const validatePaymentVerification = [
+    body('orderId')
+        .isString()
+        .notEmpty()
+        .withMessage('Order ID is required'),
+
+    body('paymentId')
+        .isString()
+        .notEmpty()
+        .withMessage('Payment ID is required'),
+
+    body('signature')
+        .isString()
+        .notEmpty()
+        .withMessage('Payment signature is required'),
+
+    handleValidationErrors
+];
+
 module.exports = {
     handleValidationErrors,
+    runValidation,
     validateSignup,
     validateLogin,
     validateProfileUpdate,
     validateLocation,
+    validateTravel,
+    validatePushPreferences,
+    validatePrivacySettings,
+    validateDiscoveryPreferences,
+    validateDeviceRegistration,
     validateLikeDislike,
+    chatMessageRules,
     validateChatMessage,
+    validateMediaCaption,
     validateReport,
+    validateReportResolution,
+    validateReportDismissal,
     validateAdminLogin,
+    validateAdminCreate,
+    validateAdminUpdate,
+    validateSuspension,
     validatePagination,
+    validateDeckRequest,
     validateObjectId,
-    validatePremiumPurchase
+    validateMatchId,
+    validateMessageId,
+    validatePhotoId,
+    validatePhotoOrder,
+    validatePhotoRejection,
+    validatePremiumPurchase,
+    validatePaymentVerification
 }; 
\ No newline at end of file
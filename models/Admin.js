@@ -118,6 +118,26 @@ adminSchema.methods.hasPermission = function (permission) {
     return this.permissions.includes(permission);
 };
 
+// Roles from least to most privileged
+const ROLE_RANK = {
+    moderator: 0,
+    admin: 1,
+    super_admin: 2
+};
+
+// Method to check whether this admin may give out a role and permissions.
+// Only super admins can grant more than they hold themselves.
+adminSchema.methods.canGrant = function ({ role, permissions = [] }) {
+    if (this.role === 'super_admin') return true;
+    if (role && ROLE_RANK[role] > ROLE_RANK[this.role]) return false;
+    return permissions.every(permission => this.permissions.includes(permission));
+};
+
+// Method to check whether this admin may edit another admin's account
+adminSchema.methods.canManage = function (other) {
+    return this.canGrant({ role: other.role, permissions: other.permissions });
+};
+
 // Method to get public profile (without sensitive data)
 adminSchema.methods.getPublicProfile = function () {
     const adminObject = this.toObject();
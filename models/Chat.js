@@ -11,10 +11,29 @@ const chatSchema = new mongoose.Schema({
         ref: 'User',
         required: true
     },
+    // Text, or the optional caption of a media message
     message: {
         type: String,
-        required: [true, 'Message cannot be empty'],
-        maxlength: [1000, 'Message cannot exceed 1000 characters']
+        required: [function () { return !this.attachment || !this.attachment.key; }, 'Message cannot be empty'],
+        maxlength: [1000, 'Message cannot exceed 1000 characters'],
+        default: ''
+    },
+    attachment: {
+        key: {
+            type: String
+        },
+        contentType: {
+            type: String
+        },
+        size: {
+            type: Number
+        },
+        width: {
+            type: Number
+        },
+        height: {
+            type: Number
+        }
     },
     messageType: {
         type: String,
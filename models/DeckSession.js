@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// A run of discovery batches handed to one client. Remembers what was served
+// so a card is never sent twice within the session.
+const deckSessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Distance override the session was started with, in km
+    maxDistance: {
+        type: Number
+    },
+    served: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    // Bumped with every batch; guards against two batches from one cursor
+    batches: {
+        type: Number,
+        default: 0
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+deckSessionSchema.index({ user: 1 });
+
+// Idle sessions are removed once they expire
+deckSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('DeckSession', deckSessionSchema);
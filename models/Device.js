@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+const deviceSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    token: {
+        type: String,
+        required: [true, 'Device token is required'],
+        unique: true,
+        maxlength: [4096, 'Device token is too long']
+    },
+    platform: {
+        type: String,
+        enum: ['ios', 'android', 'web', 'unknown'],
+        default: 'unknown'
+    },
+    appVersion: {
+        type: String,
+        maxlength: [30, 'App version cannot exceed 30 characters']
+    },
+    locale: {
+        type: String,
+        maxlength: [20, 'Locale cannot exceed 20 characters']
+    },
+    lastSeenAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+// Index for fanning out pushes to a user's devices
+deviceSchema.index({ user: 1, lastSeenAt: -1 });
+
+module.exports = mongoose.model('Device', deviceSchema);
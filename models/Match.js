@@ -6,6 +6,11 @@ const matchSchema = new mongoose.Schema({
         ref: 'User',
         required: true
     }],
+    // Both user ids in sorted order; identifies the pair whichever way round
+    pairKey: {
+        type: String,
+        required: true
+    },
     isActive: {
         type: Boolean,
         default: true
@@ -23,6 +28,18 @@ const matchSchema = new mongoose.Schema({
     timestamps: true
 });
 
+// Canonical key for a pair of users
+matchSchema.statics.pairKey = function (userId, otherUserId) {
+    return [userId.toString(), otherUserId.toString()].sort().join(':');
+};
+
+matchSchema.pre('validate', function (next) {
+    if (this.users.length === 2) {
+        this.pairKey = this.constructor.pairKey(this.users[0], this.users[1]);
+    }
+    next();
+});
+
 // Ensure users array has exactly 2 unique users
 matchSchema.pre('save', function (next) {
     if (this.users.length !== 2) {
@@ -36,6 +53,12 @@ matchSchema.pre('save', function (next) {
     next();
 });
 
+// At most one active match per pair; ended matches are kept as history
+matchSchema.index(
+    { pairKey: 1 },
+    { unique: true, partialFilterExpression: { isActive: true } }
+);
+
 // Index for efficient queries
 matchSchema.index({ users: 1 });
 matchSchema.index({ isActive: 1, lastMessageAt: -1 });
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    type: {
+        type: String,
+        required: [true, 'Notification type is required'],
+        enum: [
+            'new_match',
+            'new_message',
+            'like_received',
+            'super_like_received',
+            'report_outcome',
+            'premium_expiring',
+            'premium_expired',
+            'photo_rejected'
+        ]
+    },
+    title: {
+        type: String,
+        required: [true, 'Notification title is required'],
+        maxlength: [100, 'Title cannot exceed 100 characters']
+    },
+    body: {
+        type: String,
+        maxlength: [500, 'Body cannot exceed 500 characters'],
+        default: ''
+    },
+    // Ids the client needs to open the right screen (matchId, reportId, ...)
+    data: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    // Number of events folded into this entry (e.g. several messages in one chat)
+    count: {
+        type: Number,
+        default: 1
+    },
+    isRead: {
+        type: Boolean,
+        default: false
+    },
+    readAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for efficient queries; folded entries move up when updated
+notificationSchema.index({ user: 1, updatedAt: -1 });
+notificationSchema.index({ user: 1, isRead: 1 });
+
+// One unread entry per folded event, matching the upsert filters in
+// services/notifications. Concurrent upserts then cannot insert twice.
+// Existing duplicates are folded by scripts/dedupe-unread-notifications.js.
+notificationSchema.index(
+    { user: 1, type: 1 },
+    { unique: true, partialFilterExpression: { type: 'like_received', isRead: false } }
+);
+notificationSchema.index(
+    { user: 1, 'data.matchId': 1 },
+    { unique: true, partialFilterExpression: { type: 'new_message', isRead: false } }
+);
+
+// Notifications nobody has touched for 90 days are removed
+notificationSchema.index({ updatedAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+// Method to mark notification as read
+notificationSchema.methods.markAsRead = function () {
+    this.isRead = true;
+    this.readAt = new Date();
+    return this.save();
+};
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const paymentSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    plan: {
+        type: String,
+        required: [true, 'Plan is required'],
+        enum: ['monthly', 'yearly', 'lifetime']
+    },
+    provider: {
+        type: String,
+        required: [true, 'Payment provider is required']
+    },
+    orderId: {
+        type: String,
+        required: [true, 'Order ID is required'],
+        unique: true
+    },
+    paymentId: {
+        type: String
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: [0, 'Amount cannot be negative']
+    },
+    currency: {
+        type: String,
+        required: true,
+        uppercase: true
+    },
+    // 'failed' is only set on older orders; a failed attempt leaves the order
+    // open because the customer can retry it
+    status: {
+        type: String,
+        enum: ['created', 'paid', 'failed', 'refunded'],
+        default: 'created'
+    },
+    failedAttempts: [{
+        paymentId: {
+            type: String
+        },
+        failedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    paidAt: {
+        type: Date
+    },
+    premiumExpiresAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for efficient queries
+paymentSchema.index({ user: 1, createdAt: -1 });
+paymentSchema.index({ paymentId: 1 }, { sparse: true });
+
+// Method to mark payment as paid
+paymentSchema.methods.markPaid = function (paymentId, premiumExpiresAt) {
+    this.status = 'paid';
+    this.paymentId = paymentId;
+    this.paidAt = new Date();
+    this.premiumExpiresAt = premiumExpiresAt;
+    return this.save();
+};
+
+module.exports = mongoose.model('Payment', paymentSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const paymentEventSchema = new mongoose.Schema({
+    provider: {
+        type: String,
+        required: [true, 'Payment provider is required']
+    },
+    eventId: {
+        type: String,
+        required: [true, 'Provider event ID is required']
+    },
+    type: {
+        type: String,
+        required: [true, 'Event type is required']
+    },
+    status: {
+        type: String,
+        enum: ['processing', 'processed', 'ignored', 'failed'],
+        default: 'processing'
+    },
+    payload: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    payment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Payment'
+    },
+    // Audit trail of the premium change this event caused
+    premiumBefore: {
+        isPremium: Boolean,
+        expiresAt: Date
+    },
+    premiumAfter: {
+        isPremium: Boolean,
+        expiresAt: Date
+    },
+    error: {
+        type: String
+    },
+    processedAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+// Each provider event is stored once so replays are no-ops
+paymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+paymentEventSchema.index({ user: 1, createdAt: -1 });
+paymentEventSchema.index({ payment: 1 });
+
+module.exports = mongoose.model('PaymentEvent', paymentEventSchema);
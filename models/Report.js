@@ -69,24 +69,61 @@ reportSchema.pre('save', function (next) {
     next();
 });
 
-// Method to resolve report
+// Reports still waiting for a decision
+const OPEN_STATUSES = ['pending', 'investigating'];
+
+// Close an open report. The status check is atomic, so when two admins decide
+// at once only one of them gets the report back; the other gets null.
+const closeOpenReport = (Report, reportId, update) => Report.findOneAndUpdate(
+    { _id: reportId, status: { $in: OPEN_STATUSES } },
+    { ...update, resolvedAt: new Date() },
+    { new: true }
+);
+
+// Static method to resolve an open report
+reportSchema.statics.resolveOpen = function (reportId, adminId, action, notes) {
+    return closeOpenReport(this, reportId, {
+        status: 'resolved',
+        resolvedBy: adminId,
+        action,
+        adminNotes: notes
+    });
+};
+
+// Static method to dismiss an open report
+reportSchema.statics.dismissOpen = function (reportId, adminId, notes) {
+    return closeOpenReport(this, reportId, {
+        status: 'dismissed',
+        resolvedBy: adminId,
+        action: 'no_action',
+        adminNotes: notes
+    });
+};
+
+// Static method to put a resolved report back under review, e.g. when its
+// action could not be applied
+reportSchema.statics.reopen = function (reportId) {
+    return this.findOneAndUpdate(
+        { _id: reportId, status: 'resolved' },
+        {
+            status: 'investigating',
+            action: 'no_action',
+            $unset: { resolvedBy: 1, resolvedAt: 1 }
+        },
+        { new: true }
+    );
+};
+
+// Method to resolve report; resolves to null if it was already closed
 reportSchema.methods.resolve = function (adminId, action, notes) {
-    this.status = 'resolved';
-    this.resolvedBy = adminId;
-    this.resolvedAt = new Date();
-    this.action = action;
-    this.adminNotes = notes;
-    return this.save();
+    return this.constructor.resolveOpen(this._id, adminId, action, notes);
 };
 
-// Method to dismiss report
+// Method to dismiss report; resolves to null if it was already closed
 reportSchema.methods.dismiss = function (adminId, notes) {
-    this.status = 'dismissed';
-    this.resolvedBy = adminId;
-    this.resolvedAt = new Date();
-    this.action = 'no_action';
-    this.adminNotes = notes;
-    return this.save();
+    return this.constructor.dismissOpen(this._id, adminId, notes);
 };
 
+reportSchema.statics.OPEN_STATUSES = OPEN_STATUSES;
+
 module.exports = mongoose.model('Report', reportSchema); 
\ No newline at end of file
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// One swipe decision per user and target
+const swipeSchema = new mongoose.Schema({
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    target: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    type: {
+        type: String,
+        enum: ['like', 'pass', 'superlike'],
+        required: true
+    },
+    // Passes are forgotten after the recycle period so profiles can reappear
+    expiresAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+swipeSchema.index({ actor: 1, target: 1 }, { unique: true });
+
+// Index for likes a user has received
+swipeSchema.index({ target: 1, type: 1, createdAt: -1 });
+
+// Index for counting a user's own swipes by type
+swipeSchema.index({ actor: 1, type: 1 });
+
+// Removes expired swipes; swipes without expiresAt are kept
+swipeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Swipe', swipeSchema);
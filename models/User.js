@@ -1,6 +1,63 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+// A processed profile photo; the subdocument _id is the photo's id
+const photoSchema = new mongoose.Schema({
+    // Public URLs, set once the photo is approved and its files are published
+    url: {
+        type: String
+    },
+    thumbnailUrl: {
+        type: String
+    },
+    // Heavily blurred copy for teasers; absent on older photos
+    blurredUrl: {
+        type: String
+    },
+    // Storage keys, absent for photos migrated from bare URLs. Files are
+    // private until approval and move under public/ when published.
+    key: {
+        type: String
+    },
+    thumbnailKey: {
+        type: String
+    },
+    blurredKey: {
+        type: String
+    },
+    width: {
+        type: Number
+    },
+    height: {
+        type: Number
+    },
+    order: {
+        type: Number,
+        default: 0
+    },
+    // New photos wait for review before they are shown in discovery
+    status: {
+        type: String,
+        enum: ['pending', 'approved', 'rejected'],
+        default: 'pending'
+    },
+    reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin'
+    },
+    reviewedAt: {
+        type: Date
+    },
+    rejectionReason: {
+        type: String,
+        maxlength: [500, 'Rejection reason cannot exceed 500 characters']
+    },
+    uploadedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
 const userSchema = new mongoose.Schema({
     name: {
         type: String,
@@ -52,10 +109,12 @@ const userSchema = new mongoose.Schema({
         type: String,
         maxlength: [30, 'Interest cannot exceed 30 characters']
     }],
-    photos: [{
-        type: String,
-        required: [true, 'At least one photo is required']
-    }],
+    photos: [photoSchema],
+    // Photo shown on discovery cards; the first photo when unset
+    primaryPhoto: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    // Snapped to the privacy grid in utils/geo; never sent to other users
     location: {
         type: {
             type: String,
@@ -67,6 +126,30 @@ const userSchema = new mongoose.Schema({
             required: [true, 'Location coordinates are required']
         }
     },
+    // Premium travel mode: discovery searches from here until the trip expires.
+    // No defaults, so users who never travel have no travel.location to index.
+    travel: {
+        location: {
+            type: {
+                type: String,
+                enum: ['Point']
+            },
+            coordinates: {
+                type: [Number],
+                default: undefined
+            }
+        },
+        // Shown to other users as "visiting"; absent for trips set by coordinates
+        city: {
+            type: String
+        },
+        startedAt: {
+            type: Date
+        },
+        expiresAt: {
+            type: Date
+        }
+    },
     isPremium: {
         type: Boolean,
         default: false
@@ -74,6 +157,10 @@ const userSchema = new mongoose.Schema({
     premiumExpiresAt: {
         type: Date
     },
+    premiumPlan: {
+        type: String,
+        enum: ['monthly', 'yearly', 'lifetime']
+    },
     isVerified: {
         type: Boolean,
         default: false
@@ -86,18 +173,40 @@ const userSchema = new mongoose.Schema({
         type: Boolean,
         default: false
     },
-    likes: [{
-        type: mongoose.Schema.Types.ObjectId,
-        ref: 'User'
-    }],
-    likedBy: [{
-        type: mongoose.Schema.Types.ObjectId,
-        ref: 'User'
-    }],
-    matches: [{
-        type: mongoose.Schema.Types.ObjectId,
-        ref: 'User'
+    // End of the current suspension; kept alongside the history for cheap checks
+    suspendedUntil: {
+        type: Date
+    },
+    suspensions: [{
+        startsAt: {
+            type: Date,
+            default: Date.now
+        },
+        endsAt: {
+            type: Date,
+            required: true
+        },
+        reason: {
+            type: String,
+            maxlength: [500, 'Suspension reason cannot exceed 500 characters']
+        },
+        issuedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Admin'
+        },
+        report: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Report'
+        },
+        liftedAt: {
+            type: Date
+        },
+        liftedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Admin'
+        }
     }],
+    // Likes and passes live in the Swipe collection, matches in Match
     blocked: [{
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
@@ -106,8 +215,76 @@ const userSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
     }],
-    fcmToken: {
-        type: String
+    // Who the user wants to see; discovery applies these on both sides
+    discoveryPreferences: {
+        // Empty means every gender
+        genders: [{
+            type: String,
+            enum: ['male', 'female', 'non-binary', 'other']
+        }],
+        minAge: {
+            type: Number,
+            min: 18,
+            max: 100,
+            default: 18
+        },
+        maxAge: {
+            type: Number,
+            min: 18,
+            max: 100,
+            default: 100
+        },
+        // In kilometers
+        maxDistance: {
+            type: Number,
+            min: 1,
+            max: 500,
+            default: 50
+        },
+        verifiedOnly: {
+            type: Boolean,
+            default: false
+        }
+    },
+    privacy: {
+        // Online status and last seen, as shown to matches
+        showPresence: { type: Boolean, default: true }
+    },
+    // Push categories the user receives; notifications still reach the inbox
+    pushPreferences: {
+        matches: { type: Boolean, default: true },
+        messages: { type: Boolean, default: true },
+        likes: { type: Boolean, default: true },
+        account: { type: Boolean, default: true },
+        premium: { type: Boolean, default: true }
+    },
+    // IANA time zone, used for daily allowances that reset at local midnight
+    timezone: {
+        type: String,
+        default: 'UTC'
+    },
+    // Super likes used in the current daily window
+    superLikes: {
+        startedAt: { type: Date },
+        resetsAt: { type: Date },
+        used: { type: Number, default: 0 }
+    },
+    // Rewinds used in the current daily window, and when the last one happened
+    rewinds: {
+        startedAt: { type: Date },
+        resetsAt: { type: Date },
+        used: { type: Number, default: 0 },
+        lastAt: { type: Date }
+    },
+    // Times the profile was served in discovery on one UTC day
+    exposure: {
+        day: { type: String },
+        count: { type: Number, default: 0 }
+    },
+    // Last rewound user, shown first in discovery again
+    rewoundUser: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
     },
     lastActive: {
         type: Date,
@@ -121,11 +298,14 @@ const userSchema = new mongoose.Schema({
     timestamps: true
 });
 
-// Index for geospatial queries
-userSchema.index({ location: '2dsphere' });
+// Index for geospatial discovery queries; gender narrows the scan inside the index
+userSchema.index({ location: '2dsphere', gender: 1, isActive: 1, isBlocked: 1 });
 
-// Index for discovery queries
-userSchema.index({ gender: 1, isActive: 1, isBlocked: 1 });
+// Index for travellers, who are discovered at their trip destination
+userSchema.index({ 'travel.location': '2dsphere' });
+
+// Index for the photo moderation queue
+userSchema.index({ 'photos.status': 1 });
 
 // Virtual for age calculation
 userSchema.virtual('age').get(function () {
@@ -162,6 +342,21 @@ userSchema.methods.isPremiumActive = function () {
     return this.premiumExpiresAt > new Date();
 };
 
+// Method to check if user is currently suspended
+userSchema.methods.isSuspended = function () {
+    return !!(this.suspendedUntil && this.suspendedUntil > new Date());
+};
+
+// Method to get the suspension that currently applies, if any
+userSchema.methods.getActiveSuspension = function () {
+    if (!this.isSuspended()) return null;
+
+    const now = new Date();
+    return this.suspensions
+        .filter(suspension => !suspension.liftedAt && suspension.endsAt > now)
+        .sort((a, b) => b.endsAt - a.endsAt)[0] || null;
+};
+
 // Method to get public profile (without sensitive data)
 userSchema.methods.getPublicProfile = function () {
     const userObject = this.toObject();
@@ -169,7 +364,17 @@ userSchema.methods.getPublicProfile = function () {
     delete userObject.email;
     delete userObject.phone;
     delete userObject.fcmToken;
+    delete userObject.pushPreferences;
+    delete userObject.discoveryPreferences;
+    delete userObject.travel;
+    delete userObject.location;
+    delete userObject.superLikes;
+    delete userObject.rewinds;
+    delete userObject.rewoundUser;
+    delete userObject.exposure;
     delete userObject.isBlocked;
+    delete userObject.suspendedUntil;
+    delete userObject.suspensions;
     delete userObject.blocked;
     delete userObject.blockedBy;
     return userObject;
@@ -180,7 +385,8 @@ userSchema.methods.canBeSeenBy = function (otherUserId) {
     return !this.blocked.includes(otherUserId) &&
         !this.blockedBy.includes(otherUserId) &&
         this.isActive &&
-        !this.isBlocked;
+        !this.isBlocked &&
+        !this.isSuspended();
 };
 
 module.exports = mongoose.model('User', userSchema); 
\ No newline at end of file
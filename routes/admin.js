@@ -0,0 +1,712 @@
+const express = require('express');
+const router = express.Router();
+const Admin = require('../models/Admin');
+const User = require('../models/User');
+const { generateToken, protectAdmin, checkPermission } = require('../middleware/auth');
+const {
+    validateAdminLogin,
+    validateAdminCreate,
+    validateAdminUpdate,
+    validateSuspension,
+    validatePagination,
+    validateObjectId,
+    validatePhotoId,
+    validatePhotoRejection
+} = require('../middleware/validation');
+const { revokePremium } = require('../services/premium');
+const { suspendUser, liftSuspension } = require('../services/moderation');
+const { getPhotoQueue, approvePhoto, rejectPhoto } = require('../services/photos');
+const { refreshProfileCompleted } = require('../services/profile');
+const { notifyPhotoRejected } = require('../services/notifications');
+
+const PHOTO_STATUSES = ['pending', 'approved', 'rejected'];
+
+// @desc    Login admin
+// @route   POST /api/admin/login
+// @access  Public
+router.post('/login', validateAdminLogin, async (req, res) => {
+    try {
+        const { username, password } = req.body;
+
+        const admin = await Admin.findOne({ username }).select('+password');
+
+        if (!admin) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid credentials'
+            });
+        }
+
+        // Refuse locked accounts before even checking the password
+        if (admin.isLocked()) {
+            return res.status(423).json({
+                success: false,
+                message: 'Account is locked due to too many failed login attempts',
+                data: {
+                    lockUntil: admin.lockUntil
+                }
+            });
+        }
+
+        if (!admin.isActive) {
+            return res.status(401).json({
+                success: false,
+                message: 'Admin account is deactivated'
+            });
+        }
+
+        const isPasswordValid = await admin.comparePassword(password);
+        if (!isPasswordValid) {
+            await admin.incLoginAttempts();
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid credentials'
+            });
+        }
+
+        if (admin.loginAttempts || admin.lockUntil) {
+            await admin.resetLoginAttempts();
+        }
+
+        await Admin.findByIdAndUpdate(admin._id, { lastLogin: new Date() });
+
+        const token = generateToken(admin._id, 'admin');
+
+        res.json({
+            success: true,
+            message: 'Login successful',
+            data: {
+                admin: admin.getPublicProfile(),
+                token
+            }
+        });
+    } catch (error) {
+        console.error('Admin login error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during login'
+        });
+    }
+});
+
+// @desc    Get current admin
+// @route   GET /api/admin/me
+// @access  Private (admin)
+router.get('/me', protectAdmin, (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            admin: req.admin.getPublicProfile()
+        }
+    });
+});
+
+// @desc    List admins
+// @route   GET /api/admin/admins
+// @access  Private (manage_admins)
+router.get('/admins', protectAdmin, checkPermission('manage_admins'), validatePagination, async (req, res) => {
+    try {
+        const { page = 1, limit = 20 } = req.query;
+        const skip = (page - 1) * limit;
+
+        const [admins, total] = await Promise.all([
+            Admin.find()
+                .select('-loginAttempts -lockUntil')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(parseInt(limit))
+                .lean(),
+            Admin.countDocuments()
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                admins,
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    hasMore: skip + admins.length < total
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Get admins error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Create admin
+// @route   POST /api/admin/admins
+// @access  Private (manage_admins)
+router.post('/admins', protectAdmin, checkPermission('manage_admins'), validateAdminCreate, async (req, res) => {
+    try {
+        const { username, email, password, role = 'admin', permissions = [] } = req.body;
+
+        if (role === 'super_admin' && req.admin.role !== 'super_admin') {
+            return res.status(403).json({
+                success: false,
+                message: 'Only a super admin can create super admins'
+            });
+        }
+
+        if (!req.admin.canGrant({ role, permissions })) {
+            return res.status(403).json({
+                success: false,
+                message: 'You cannot grant a role or permissions you do not have'
+            });
+        }
+
+        const existingAdmin = await Admin.findOne({
+            $or: [{ username }, { email }]
+        });
+
+        if (existingAdmin) {
+            return res.status(400).json({
+                success: false,
+                message: existingAdmin.username === username
+                    ? 'Username already taken'
+                    : 'Email already registered'
+            });
+        }
+
+        const admin = await Admin.create({
+            username,
+            email,
+            password,
+            role,
+            permissions
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Admin created successfully',
+            data: {
+                admin: admin.getPublicProfile()
+            }
+        });
+    } catch (error) {
+        console.error('Create admin error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Get admin
+// @route   GET /api/admin/admins/:id
+// @access  Private (manage_admins)
+router.get('/admins/:id', protectAdmin, checkPermission('manage_admins'), validateObjectId, async (req, res) => {
+    try {
+        const admin = await Admin.findById(req.params.id);
+
+        if (!admin) {
+            return res.status(404).json({
+                success: false,
+                message: 'Admin not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                admin: admin.getPublicProfile()
+            }
+        });
+    } catch (error) {
+        console.error('Get admin error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Update admin
+// @route   PUT /api/admin/admins/:id
+// @access  Private (manage_admins)
+router.put('/admins/:id', protectAdmin, checkPermission('manage_admins'), validateObjectId, validateAdminUpdate, async (req, res) => {
+    try {
+        const { email, password, role, permissions, isActive } = req.body;
+        const isSelf = req.params.id === req.admin._id.toString();
+
+        const admin = await Admin.findById(req.params.id);
+        if (!admin) {
+            return res.status(404).json({
+                success: false,
+                message: 'Admin not found'
+            });
+        }
+
+        const isSuperAdmin = req.admin.role === 'super_admin';
+        if (!isSuperAdmin && (admin.role === 'super_admin' || role === 'super_admin')) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only a super admin can manage super admins'
+            });
+        }
+
+        // Admins can neither take over a more privileged account nor hand out
+        // more than they hold
+        if (!req.admin.canManage(admin) || !req.admin.canGrant({ role, permissions })) {
+            return res.status(403).json({
+                success: false,
+                message: 'You cannot grant a role or permissions you do not have'
+            });
+        }
+
+        // Stop admins from locking themselves out
+        if (isSelf && (isActive === false || role !== undefined || permissions !== undefined)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cannot change your own role, permissions or status'
+            });
+        }
+
+        if (email) admin.email = email;
+        if (password) admin.password = password;
+        if (role) admin.role = role;
+        if (permissions) admin.permissions = permissions;
+        if (isActive !== undefined) admin.isActive = isActive;
+
+        await admin.save();
+
+        res.json({
+            success: true,
+            message: 'Admin updated successfully',
+            data: {
+                admin: admin.getPublicProfile()
+            }
+        });
+    } catch (error) {
+        console.error('Update admin error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Delete admin
+// @route   DELETE /api/admin/admins/:id
+// @access  Private (manage_admins)
+router.delete('/admins/:id', protectAdmin, checkPermission('manage_admins'), validateObjectId, async (req, res) => {
+    try {
+        if (req.params.id === req.admin._id.toString()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cannot delete yourself'
+            });
+        }
+
+        const admin = await Admin.findById(req.params.id);
+        if (!admin) {
+            return res.status(404).json({
+                success: false,
+                message: 'Admin not found'
+            });
+        }
+
+        if (admin.role === 'super_admin' && req.admin.role !== 'super_admin') {
+            return res.status(403).json({
+                success: false,
+                message: 'Only a super admin can manage super admins'
+            });
+        }
+
+        if (!req.admin.canManage(admin)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You cannot manage an admin with more access than you'
+            });
+        }
+
+        await admin.deleteOne();
+
+        res.json({
+            success: true,
+            message: 'Admin deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete admin error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Search users
+// @route   GET /api/admin/users
+// @access  Private (manage_users)
+router.get('/users', protectAdmin, checkPermission('manage_users'), validatePagination, async (req, res) => {
+    try {
+        const { page = 1, limit = 20, q, isBlocked, isSuspended, isPremium } = req.query;
+        const skip = (page - 1) * limit;
+
+        const query = {};
+
+        if (q) {
+            const pattern = new RegExp(escapeRegex(String(q)), 'i');
+            query.$or = [{ name: pattern }, { email: pattern }, { phone: pattern }];
+        }
+
+        if (isBlocked !== undefined) query.isBlocked = isBlocked === 'true';
+        if (isSuspended === 'true') query.suspendedUntil = { $gt: new Date() };
+        if (isPremium !== undefined) query.isPremium = isPremium === 'true';
+
+        const [users, total] = await Promise.all([
+            User.find(query)
+                .select('name email phone gender photos isPremium premiumExpiresAt isVerified isActive isBlocked suspendedUntil lastActive createdAt')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(parseInt(limit))
+                .lean(),
+            User.countDocuments(query)
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                users,
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    hasMore: skip + users.length < total
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Search users error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Get user details
+// @route   GET /api/admin/users/:id
+// @access  Private (manage_users)
+router.get('/users/:id', protectAdmin, checkPermission('manage_users'), validateObjectId, async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id).select('-password');
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                user: {
+                    ...user.toObject(),
+                    isPremium: user.isPremiumActive()
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Get user error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Block user
+// @route   PUT /api/admin/users/:id/block
+// @access  Private (manage_users)
+router.put('/users/:id/block', protectAdmin, checkPermission('manage_users'), validateObjectId, async (req, res) => {
+    try {
+        const user = await User.findByIdAndUpdate(
+            req.params.id,
+            { isBlocked: true },
+            { new: true }
+        ).select('name email isBlocked');
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'User blocked successfully',
+            data: { user }
+        });
+    } catch (error) {
+        console.error('Admin block user error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Unblock user
+// @route   PUT /api/admin/users/:id/unblock
+// @access  Private (manage_users)
+router.put('/users/:id/unblock', protectAdmin, checkPermission('manage_users'), validateObjectId, async (req, res) => {
+    try {
+        const user = await User.findByIdAndUpdate(
+            req.params.id,
+            { isBlocked: false },
+            { new: true }
+        ).select('name email isBlocked');
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'User unblocked successfully',
+            data: { user }
+        });
+    } catch (error) {
+        console.error('Admin unblock user error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Suspend user for a number of days
+// @route   PUT /api/admin/users/:id/suspend
+// @access  Private (manage_users)
+router.put('/users/:id/suspend', protectAdmin, checkPermission('manage_users'), validateObjectId, validateSuspension, async (req, res) => {
+    try {
+        const { durationDays, reason } = req.body;
+
+        const exists = await User.exists({ _id: req.params.id });
+        if (!exists) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const user = await suspendUser(req.params.id, {
+            durationDays: parseInt(durationDays),
+            reason,
+            adminId: req.admin._id
+        });
+
+        res.json({
+            success: true,
+            message: 'User suspended successfully',
+            data: {
+                user: {
+                    id: user._id,
+                    suspendedUntil: user.suspendedUntil,
+                    suspensions: user.suspensions
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Suspend user error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Lift user's suspension early
+// @route   DELETE /api/admin/users/:id/suspension
+// @access  Private (manage_users)
+router.delete('/users/:id/suspension', protectAdmin, checkPermission('manage_users'), validateObjectId, async (req, res) => {
+    try {
+        const exists = await User.exists({ _id: req.params.id });
+        if (!exists) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const user = await liftSuspension(req.params.id, req.admin._id);
+
+        res.json({
+            success: true,
+            message: 'Suspension lifted successfully',
+            data: {
+                user: {
+                    id: user._id,
+                    suspendedUntil: null,
+                    suspensions: user.suspensions
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Lift suspension error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Revoke user's premium
+// @route   DELETE /api/admin/users/:id/premium
+// @access  Private (manage_users)
+router.delete('/users/:id/premium', protectAdmin, checkPermission('manage_users'), validateObjectId, async (req, res) => {
+    try {
+        const exists = await User.exists({ _id: req.params.id });
+        if (!exists) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const user = await revokePremium(req.params.id);
+
+        res.json({
+            success: true,
+            message: 'Premium revoked successfully',
+            data: {
+                user: {
+                    id: user._id,
+                    isPremium: user.isPremiumActive(),
+                    premiumExpiresAt: user.premiumExpiresAt
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Revoke premium error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Get the photo moderation queue
+// @route   GET /api/admin/photos
+// @access  Private (manage_content)
+router.get('/photos', protectAdmin, checkPermission('manage_content'), validatePagination, async (req, res) => {
+    try {
+        const { page = 1, limit = 20, status = 'pending' } = req.query;
+        const skip = (page - 1) * limit;
+
+        if (!PHOTO_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid photo status'
+            });
+        }
+
+        const { photos, total } = await getPhotoQueue({
+            status,
+            skip,
+            limit: parseInt(limit)
+        });
+
+        res.json({
+            success: true,
+            data: {
+                photos,
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    hasMore: skip + photos.length < total
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Get photo queue error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Approve a photo
+// @route   PUT /api/admin/photos/:photoId/approve
+// @access  Private (manage_content)
+router.put('/photos/:photoId/approve', protectAdmin, checkPermission('manage_content'), validatePhotoId, async (req, res) => {
+    try {
+        const { user, photo } = await approvePhoto(req.params.photoId, req.admin._id);
+        await refreshProfileCompleted(user._id);
+
+        res.json({
+            success: true,
+            message: 'Photo approved successfully',
+            data: { photo }
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Approve photo error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Reject a photo
+// @route   PUT /api/admin/photos/:photoId/reject
+// @access  Private (manage_content)
+router.put('/photos/:photoId/reject', protectAdmin, checkPermission('manage_content'), validatePhotoId, validatePhotoRejection, async (req, res) => {
+    try {
+        const { user, photo } = await rejectPhoto(req.params.photoId, req.admin._id, req.body.reason);
+
+        // Rejecting the last usable photo takes the profile out of discovery
+        const profileCompleted = await refreshProfileCompleted(user._id);
+        await notifyPhotoRejected(user._id, photo);
+
+        res.json({
+            success: true,
+            message: 'Photo rejected successfully',
+            data: {
+                photo,
+                profileCompleted
+            }
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Reject photo error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Helper function to escape user input for use in a RegExp
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = router;
@@ -1,8 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
-const { generateToken, protectUser } = require('../middleware/auth');
+const { generateToken, sendSuspended, protectUser } = require('../middleware/auth');
 const { validateSignup, validateLogin } = require('../middleware/validation');
+const { unregisterDevice } = require('../services/devices');
+const { getMatchedUsers } = require('../services/matches');
+const { describePhotos, withApprovedPhotos } = require('../services/photos');
 
 // @desc    Register user
 // @route   POST /api/auth/signup
@@ -95,6 +98,11 @@ router.post('/login', validateLogin, async (req, res) => {
             });
         }
 
+        // Only reveal a suspension to someone who knows the password
+        if (user.isSuspended()) {
+            return sendSuspended(res, user);
+        }
+
         // Update last active
         user.lastActive = new Date();
         await user.save();
@@ -131,15 +139,18 @@ router.post('/login', validateLogin, async (req, res) => {
 // @access  Private
 router.get('/me', protectUser, async (req, res) => {
     try {
-        const user = await User.findById(req.user._id)
-            .select('-password')
-            .populate('matches', 'name photos');
+        const [user, matchedUsers] = await Promise.all([
+            User.findById(req.user._id).select('-password'),
+            getMatchedUsers(req.user._id, 'name photos')
+        ]);
 
         res.json({
             success: true,
             data: {
                 user: {
                     ...user.toObject(),
+                    ...await describePhotos(user),
+                    matches: matchedUsers.map(({ user: matchedUser }) => withApprovedPhotos(matchedUser)),
                     isPremium: user.isPremiumActive()
                 }
             }
@@ -257,6 +268,11 @@ router.post('/logout', protectUser, async (req, res) => {
             lastActive: new Date()
         });
 
+        // Stop pushing to the device being logged out
+        if (typeof req.body.deviceToken === 'string') {
+            await unregisterDevice(req.user._id, req.body.deviceToken);
+        }
+
         res.json({
             success: true,
             message: 'Logout successful'
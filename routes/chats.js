@@ -1,14 +1,40 @@
 const express = require('express');
 const router = express.Router();
 const Chat = require('../models/Chat');
-const Match = require('../models/Match');
 const { protectUser } = require('../middleware/auth');
-const { validateChatMessage, validatePagination, validateObjectId } = require('../middleware/validation');
+const { uploadSingle } = require('../middleware/upload');
+const {
+    validateChatMessage,
+    validateMediaCaption,
+    validatePagination,
+    validateMatchId,
+    validateMessageId
+} = require('../middleware/validation');
+const {
+    getMatchForUser,
+    toMessageView,
+    sendMessage,
+    markMessagesRead,
+    deleteMessage
+} = require('../services/chat');
+const { findActiveMatches } = require('../services/matches');
+const {
+    CHAT_MEDIA_MAX_BYTES,
+    CHAT_MEDIA_TYPES,
+    MEDIA_URL_TTL_SECONDS,
+    storeChatMedia,
+    getMediaUrl
+} = require('../services/media');
+
+const chatMediaUpload = uploadSingle('file', {
+    maxSize: CHAT_MEDIA_MAX_BYTES,
+    mimeTypes: CHAT_MEDIA_TYPES
+});
 
 // @desc    Get chat messages for a match
 // @route   GET /api/chats/:matchId
 // @access  Private
-router.get('/:matchId', protectUser, validateObjectId, validatePagination, async (req, res) => {
+router.get('/:matchId', protectUser, validateMatchId, validatePagination, async (req, res) => {
     try {
         const { matchId } = req.params;
         const { page = 1, limit = 50 } = req.query;
@@ -16,20 +42,7 @@ router.get('/:matchId', protectUser, validateObjectId, validatePagination, async
         const userId = req.user._id;
 
         // Verify match exists and user is part of it
-        const match = await Match.findById(matchId);
-        if (!match || !match.isActive) {
-            return res.status(404).json({
-                success: false,
-                message: 'Match not found'
-            });
-        }
-
-        if (!match.hasUser(userId)) {
-            return res.status(403).json({
-                success: false,
-                message: 'Not authorized to view this chat'
-            });
-        }
+        const match = await getMatchForUser(matchId, userId, 'Not authorized to view this chat');
 
         // Get messages
         const messages = await Chat.find({
@@ -42,25 +55,16 @@ router.get('/:matchId', protectUser, validateObjectId, validatePagination, async
             .limit(parseInt(limit))
             .lean();
 
-        // Mark messages as read
-        await Chat.updateMany(
-            {
-                matchId,
-                sender: { $ne: userId },
-                isRead: false,
-                isDeleted: false
-            },
-            { isRead: true, readAt: new Date() }
-        );
+        // Mark messages as read and reset unread count for this user
+        await markMessagesRead(match, userId);
 
-        // Reset unread count for this user
-        match.resetUnread(userId);
-        await match.save();
+        // Media is only reachable through short-lived signed URLs
+        const messagesWithMedia = await Promise.all(messages.map(toMessageView));
 
         res.json({
             success: true,
             data: {
-                messages: messages.reverse(), // Reverse to get chronological order
+                messages: messagesWithMedia.reverse(), // Reverse to get chronological order
                 pagination: {
                     page: parseInt(page),
                     limit: parseInt(limit),
@@ -69,6 +73,13 @@ router.get('/:matchId', protectUser, validateObjectId, validatePagination, async
             }
         });
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
         console.error('Get chat messages error:', error);
         res.status(500).json({
             success: false,
@@ -80,53 +91,71 @@ router.get('/:matchId', protectUser, validateObjectId, validatePagination, async
 // @desc    Send a message
 // @route   POST /api/chats/:matchId
 // @access  Private
-router.post('/:matchId', protectUser, validateObjectId, validateChatMessage, async (req, res) => {
+router.post('/:matchId', protectUser, validateMatchId, validateChatMessage, async (req, res) => {
     try {
         const { matchId } = req.params;
         const { message, messageType = 'text' } = req.body;
-        const senderId = req.user._id;
 
-        // Verify match exists and user is part of it
-        const match = await Match.findById(matchId);
-        if (!match || !match.isActive) {
-            return res.status(404).json({
-                success: false,
-                message: 'Match not found'
-            });
-        }
+        const chatMessage = await sendMessage(matchId, req.user, { message, messageType });
 
-        if (!match.hasUser(senderId)) {
-            return res.status(403).json({
+        res.status(201).json({
+            success: true,
+            message: 'Message sent successfully',
+            data: {
+                message: await toMessageView(chatMessage)
+            }
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
                 success: false,
-                message: 'Not authorized to send message to this match'
+                message: error.message
             });
         }
 
-        // Create message
-        const chatMessage = await Chat.create({
-            matchId,
-            sender: senderId,
-            message,
-            messageType
+        console.error('Send message error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
         });
+    }
+});
 
-        // Populate sender info
-        await chatMessage.populate('sender', 'name photos');
+// @desc    Send an image or GIF
+// @route   POST /api/chats/:matchId/media
+// @access  Private
+router.post('/:matchId/media', protectUser, validateMatchId, chatMediaUpload, validateMediaCaption, async (req, res) => {
+    try {
+        const { matchId } = req.params;
+        const { caption = '' } = req.body;
 
-        // Increment unread count for the other user
-        const otherUserId = match.getOtherUser(senderId);
-        match.incrementUnread(otherUserId);
-        await match.save();
+        // Check membership before anything is written to storage
+        await getMatchForUser(matchId, req.user._id, 'Not authorized to send message to this match');
+
+        const attachment = await storeChatMedia(matchId, req.file);
+
+        const chatMessage = await sendMessage(matchId, req.user, {
+            message: caption,
+            messageType: attachment.contentType === 'image/gif' ? 'gif' : 'image',
+            attachment
+        });
 
         res.status(201).json({
             success: true,
             message: 'Message sent successfully',
             data: {
-                message: chatMessage
+                message: await toMessageView(chatMessage)
             }
         });
     } catch (error) {
-        console.error('Send message error:', error);
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Send media message error:', error);
         res.status(500).json({
             success: false,
             message: 'Server error'
@@ -134,50 +163,79 @@ router.post('/:matchId', protectUser, validateObjectId, validateChatMessage, asy
     }
 });
 
-// @desc    Mark messages as read
-// @route   PUT /api/chats/:matchId/read
+// @desc    Get a fresh signed URL for a message's media
+// @route   GET /api/chats/:matchId/messages/:messageId/media
 // @access  Private
-router.put('/:matchId/read', protectUser, validateObjectId, async (req, res) => {
+router.get('/:matchId/messages/:messageId/media', protectUser, validateMatchId, validateMessageId, async (req, res) => {
     try {
-        const { matchId } = req.params;
-        const userId = req.user._id;
+        const { matchId, messageId } = req.params;
 
-        // Verify match exists and user is part of it
-        const match = await Match.findById(matchId);
-        if (!match || !match.isActive) {
+        await getMatchForUser(matchId, req.user._id, 'Not authorized to view this chat');
+
+        const message = await Chat.findOne({
+            _id: messageId,
+            matchId,
+            isDeleted: false
+        }).select('attachment');
+
+        if (!message || !message.attachment || !message.attachment.key) {
             return res.status(404).json({
                 success: false,
-                message: 'Match not found'
+                message: 'Media not found'
             });
         }
 
-        if (!match.hasUser(userId)) {
-            return res.status(403).json({
+        res.json({
+            success: true,
+            data: {
+                url: await getMediaUrl(message.attachment.key),
+                expiresIn: MEDIA_URL_TTL_SECONDS,
+                contentType: message.attachment.contentType,
+                width: message.attachment.width,
+                height: message.attachment.height
+            }
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
                 success: false,
-                message: 'Not authorized to access this chat'
+                message: error.message
             });
         }
 
-        // Mark all unread messages as read
-        await Chat.updateMany(
-            {
-                matchId,
-                sender: { $ne: userId },
-                isRead: false,
-                isDeleted: false
-            },
-            { isRead: true, readAt: new Date() }
-        );
+        console.error('Get message media error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
 
-        // Reset unread count
-        match.resetUnread(userId);
-        await match.save();
+// @desc    Mark messages as read
+// @route   PUT /api/chats/:matchId/read
+// @access  Private
+router.put('/:matchId/read', protectUser, validateMatchId, async (req, res) => {
+    try {
+        const { matchId } = req.params;
+        const userId = req.user._id;
+
+        // Verify match exists and user is part of it
+        const match = await getMatchForUser(matchId, userId);
+
+        await markMessagesRead(match, userId);
 
         res.json({
             success: true,
             message: 'Messages marked as read'
         });
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
         console.error('Mark messages as read error:', error);
         res.status(500).json({
             success: false,
@@ -189,52 +247,24 @@ router.put('/:matchId/read', protectUser, validateObjectId, async (req, res) =>
 // @desc    Delete a message
 // @route   DELETE /api/chats/:matchId/messages/:messageId
 // @access  Private
-router.delete('/:matchId/messages/:messageId', protectUser, validateObjectId, async (req, res) => {
+router.delete('/:matchId/messages/:messageId', protectUser, validateMatchId, validateMessageId, async (req, res) => {
     try {
         const { matchId, messageId } = req.params;
-        const userId = req.user._id;
-
-        // Verify match exists and user is part of it
-        const match = await Match.findById(matchId);
-        if (!match || !match.isActive) {
-            return res.status(404).json({
-                success: false,
-                message: 'Match not found'
-            });
-        }
-
-        if (!match.hasUser(userId)) {
-            return res.status(403).json({
-                success: false,
-                message: 'Not authorized to access this chat'
-            });
-        }
 
-        // Find and verify message
-        const message = await Chat.findById(messageId);
-        if (!message || message.matchId.toString() !== matchId) {
-            return res.status(404).json({
-                success: false,
-                message: 'Message not found'
-            });
-        }
-
-        // Only sender can delete their own message
-        if (message.sender.toString() !== userId.toString()) {
-            return res.status(403).json({
-                success: false,
-                message: 'Not authorized to delete this message'
-            });
-        }
-
-        // Soft delete the message
-        await message.softDelete();
+        await deleteMessage(matchId, messageId, req.user._id);
 
         res.json({
             success: true,
             message: 'Message deleted successfully'
         });
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
         console.error('Delete message error:', error);
         res.status(500).json({
             success: false,
@@ -251,8 +281,8 @@ router.get('/unread/count', protectUser, async (req, res) => {
         const userId = req.user._id;
 
         // Get all active matches for the user
-        const user = await User.findById(userId).populate('matches');
-        const matchIds = user.matches.map(match => match._id);
+        const matches = await findActiveMatches(userId).select('_id');
+        const matchIds = matches.map(match => match._id);
 
         // Get unread message counts for each match
         const unreadCounts = await Chat.aggregate([
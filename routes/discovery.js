@@ -1,81 +1,65 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
-const Match = require('../models/Match');
 const { protectUser } = require('../middleware/auth');
-const { validateLikeDislike, validatePagination } = require('../middleware/validation');
-
-// @desc    Get discovery users (nearby users to like/dislike)
+const { validateLikeDislike, validatePagination, validateDeckRequest } = require('../middleware/validation');
+const { getDeckBatch } = require('../services/deck');
+const { getDiscoveryLocation } = require('../services/travel');
+const { recordPass } = require('../services/swipes');
+const { hasActiveMatch } = require('../services/matches');
+const { toProfileCard, likeUser, getLikesReceived } = require('../services/likes');
+const { getSuperLikeAllowance } = require('../services/superLikes');
+const { REWIND_WINDOW_MINUTES, getRewindAllowance, rewindLastSwipe } = require('../services/rewind');
+
+// @desc    Get the next batch of the discovery deck. Without a cursor a new
+//          deck session starts; pass the returned cursor to continue it.
 // @route   GET /api/discovery
 // @access  Private
-router.get('/', protectUser, validatePagination, async (req, res) => {
+router.get('/', protectUser, validateDeckRequest, async (req, res) => {
     try {
-        const { page = 1, limit = 20, maxDistance = 50 } = req.query;
-        const skip = (page - 1) * limit;
+        const { cursor, limit = 20, maxDistance } = req.query;
 
         const user = await User.findById(req.user._id);
 
-        if (!user.location) {
+        if (!getDiscoveryLocation(user)) {
             return res.status(400).json({
                 success: false,
                 message: 'Please update your location to discover users'
             });
         }
 
-        // Build query for discovery
-        const query = {
-            _id: { $ne: user._id }, // Exclude current user
-            isActive: true,
-            isBlocked: false,
-            profileCompleted: true,
-            location: {
-                $near: {
-                    $geometry: user.location,
-                    $maxDistance: maxDistance * 1000 // Convert km to meters
-                }
-            }
-        };
-
-        // Exclude users that current user has already liked, disliked, or blocked
-        query._id.$nin = [
-            ...user.likes,
-            ...user.blocked,
-            ...user.blockedBy
-        ];
-
-        const users = await User.find(query)
-            .select('name photos bio interests age location')
-            .limit(parseInt(limit))
-            .skip(skip)
-            .lean();
-
-        // Calculate distance for each user
-        const usersWithDistance = users.map(userDoc => {
-            const distance = calculateDistance(
-                user.location.coordinates[1],
-                user.location.coordinates[0],
-                userDoc.location.coordinates[1],
-                userDoc.location.coordinates[0]
-            );
-
-            return {
-                ...userDoc,
-                distance: Math.round(distance * 10) / 10 // Round to 1 decimal place
-            };
+        // Exclude users that current user has blocked; swiped users and cards
+        // already served in this session are excluded inside the query
+        const batch = await getDeckBatch(user, {
+            cursor,
+            limit: parseInt(limit),
+            maxDistance: parseInt(maxDistance) || undefined,
+            excludeIds: [
+                ...user.blocked,
+                ...user.blockedBy
+            ]
         });
 
         res.json({
             success: true,
             data: {
-                users: usersWithDistance,
+                users: batch.users,
                 pagination: {
-                    page: parseInt(page),
                     limit: parseInt(limit),
-                    hasMore: usersWithDistance.length === parseInt(limit)
+                    cursor: batch.cursor,
+                    hasMore: batch.hasMore
                 }
             }
         });
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+                ...(error.code && { code: error.code })
+            });
+        }
+
         console.error('Discovery error:', error);
         res.status(500).json({
             success: false,
@@ -87,7 +71,12 @@ router.get('/', protectUser, validatePagination, async (req, res) => {
 // @desc    Like a user
 // @route   POST /api/discovery/like
 // @access  Private
-router.post('/like', protectUser, validateLikeDislike, async (req, res) => {
+router.post('/like', protectUser, validateLikeDislike, (req, res) => handleLike(req, res, 'like'));
+
+// @desc    Dislike a user
+// @route   POST /api/discovery/dislike
+// @access  Private
+router.post('/dislike', protectUser, validateLikeDislike, async (req, res) => {
     try {
         const { targetUserId } = req.body;
         const currentUserId = req.user._id;
@@ -95,7 +84,7 @@ router.post('/like', protectUser, validateLikeDislike, async (req, res) => {
         if (targetUserId === currentUserId.toString()) {
             return res.status(400).json({
                 success: false,
-                message: 'Cannot like yourself'
+                message: 'Cannot dislike yourself'
             });
         }
 
@@ -107,61 +96,67 @@ router.post('/like', protectUser, validateLikeDislike, async (req, res) => {
             });
         }
 
-        if (!targetUser.isActive || targetUser.isBlocked) {
-            return res.status(400).json({
+        // A pass would overwrite the like behind a live match; unmatch instead
+        if (await hasActiveMatch(currentUserId, targetUser._id)) {
+            return res.status(409).json({
                 success: false,
-                message: 'User is not available'
+                message: 'You are matched with this user; unmatch them instead',
+                code: 'ALREADY_MATCHED'
             });
         }
 
-        const currentUser = await User.findById(currentUserId);
-
-        // Check if already liked
-        if (currentUser.likes.includes(targetUserId)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Already liked this user'
-            });
-        }
-
-        // Add to likes
-        currentUser.likes.push(targetUserId);
-        await currentUser.save();
-
-        // Check if it's a mutual like (match)
-        let isMatch = false;
-        let match = null;
-
-        if (targetUser.likes.includes(currentUserId)) {
-            isMatch = true;
-
-            // Create match
-            match = await Match.create({
-                users: [currentUserId, targetUserId]
-            });
+        // Keep the pass so discovery stops showing this user for a while.
+        // It replaces an earlier like.
+        const swipe = await recordPass(currentUserId, targetUser._id);
 
-            // Add to matches for both users
-            currentUser.matches.push(targetUserId);
-            targetUser.matches.push(currentUserId);
+        res.json({
+            success: true,
+            message: 'User disliked successfully',
+            data: {
+                hiddenUntil: swipe.expiresAt
+            }
+        });
+    } catch (error) {
+        console.error('Dislike user error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
 
-            await Promise.all([currentUser.save(), targetUser.save()]);
+// @desc    Get people who liked the current user and are waiting for a swipe back
+// @route   GET /api/discovery/likes-received
+// @access  Private (full profiles for premium, blurred cards otherwise)
+router.get('/likes-received', protectUser, validatePagination, async (req, res) => {
+    try {
+        const { page = 1, limit = 20 } = req.query;
+        const skip = (page - 1) * limit;
+        const isPremium = req.user.isPremiumActive();
 
-            // TODO: Send push notification to target user about the match
-        }
+        const { likes, total } = await getLikesReceived(req.user, {
+            skip,
+            limit: parseInt(limit),
+            canSeeProfiles: isPremium
+        });
 
+        // Liking someone from this list with POST /api/discovery/like matches instantly
         res.json({
             success: true,
-            message: isMatch ? 'It\'s a match!' : 'User liked successfully',
             data: {
-                isMatch,
-                match: isMatch ? {
-                    id: match._id,
-                    users: [currentUser.getPublicProfile(), targetUser.getPublicProfile()]
-                } : null
+                likes,
+                total,
+                isLocked: !isPremium,
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    hasMore: skip + likes.length < total
+                }
             }
         });
     } catch (error) {
-        console.error('Like user error:', error);
+        console.error('Get likes received error:', error);
         res.status(500).json({
             success: false,
             message: 'Server error'
@@ -169,41 +164,74 @@ router.post('/like', protectUser, validateLikeDislike, async (req, res) => {
     }
 });
 
-// @desc    Dislike a user
-// @route   POST /api/discovery/dislike
-// @access  Private
-router.post('/dislike', protectUser, validateLikeDislike, async (req, res) => {
+// @desc    Undo the most recent swipe
+// @route   POST /api/discovery/rewind
+// @access  Private (unlimited for premium, daily quota otherwise)
+router.post('/rewind', protectUser, async (req, res) => {
     try {
-        const { targetUserId } = req.body;
-        const currentUserId = req.user._id;
+        const rewound = await rewindLastSwipe(req.user);
 
-        if (targetUserId === currentUserId.toString()) {
-            return res.status(400).json({
-                success: false,
-                message: 'Cannot dislike yourself'
-            });
-        }
-
-        const targetUser = await User.findById(targetUserId);
-        if (!targetUser) {
-            return res.status(404).json({
+        res.json({
+            success: true,
+            message: 'Swipe rewound successfully',
+            data: {
+                rewound,
+                rewinds: getRewindAllowance(await User.findById(req.user._id))
+            }
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
                 success: false,
-                message: 'User not found'
+                message: error.message,
+                ...(error.code && { code: error.code })
             });
         }
 
-        const currentUser = await User.findById(currentUserId);
+        console.error('Rewind error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
 
-        // Remove from likes if exists
-        currentUser.likes = currentUser.likes.filter(id => id.toString() !== targetUserId);
-        await currentUser.save();
+// @desc    Get today's rewind allowance
+// @route   GET /api/discovery/rewinds
+// @access  Private
+router.get('/rewinds', protectUser, async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: {
+                rewinds: {
+                    ...getRewindAllowance(req.user),
+                    windowMinutes: REWIND_WINDOW_MINUTES
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Get rewinds error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
 
+// @desc    Get today's super like allowance
+// @route   GET /api/discovery/super-likes
+// @access  Private
+router.get('/super-likes', protectUser, async (req, res) => {
+    try {
         res.json({
             success: true,
-            message: 'User disliked successfully'
+            data: {
+                superLikes: getSuperLikeAllowance(req.user)
+            }
         });
     } catch (error) {
-        console.error('Dislike user error:', error);
+        console.error('Get super likes error:', error);
         res.status(500).json({
             success: false,
             message: 'Server error'
@@ -211,48 +239,53 @@ router.post('/dislike', protectUser, validateLikeDislike, async (req, res) => {
     }
 });
 
-// @desc    Super like a user (premium feature)
+// @desc    Super like a user
 // @route   POST /api/discovery/super-like
 // @access  Private
-router.post('/super-like', protectUser, validateLikeDislike, async (req, res) => {
+router.post('/super-like', protectUser, validateLikeDislike, (req, res) => handleLike(req, res, 'superlike'));
+
+// Shared handler for likes and super likes
+async function handleLike(req, res, type) {
     try {
-        const { targetUserId } = req.body;
-        const currentUserId = req.user._id;
+        const currentUser = req.user;
+        const { isMatch, match, targetUser } = await likeUser(currentUser, req.body.targetUserId, { type });
+
+        const isSuperLike = type === 'superlike';
+        let message = isSuperLike ? 'User super liked successfully' : 'User liked successfully';
+        if (isMatch) message = 'It\'s a match!';
 
-        const currentUser = await User.findById(currentUserId);
+        // Re-read the counter the super like just used
+        const superLikes = isSuperLike
+            ? getSuperLikeAllowance(await User.findById(currentUser._id))
+            : undefined;
 
-        // Check if user is premium
-        if (!currentUser.isPremiumActive()) {
-            return res.status(403).json({
+        res.json({
+            success: true,
+            message,
+            data: {
+                isMatch,
+                match: isMatch ? {
+                    id: match._id,
+                    users: [currentUser.getPublicProfile(), toProfileCard(targetUser)]
+                } : null,
+                ...(superLikes && { superLikes })
+            }
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
                 success: false,
-                message: 'Super like is a premium feature'
+                message: error.message,
+                ...(error.code && { code: error.code })
             });
         }
 
-        // TODO: Implement super like logic
-        // For now, just like the user
-        return router.post('/like', protectUser, validateLikeDislike, req, res);
-    } catch (error) {
-        console.error('Super like error:', error);
+        console.error(type === 'superlike' ? 'Super like error:' : 'Like user error:', error);
         res.status(500).json({
             success: false,
             message: 'Server error'
         });
     }
-});
-
-// Helper function to calculate distance between two points
-function calculateDistance(lat1, lon1, lat2, lon2) {
-    const R = 6371; // Radius of the Earth in kilometers
-    const dLat = (lat2 - lat1) * Math.PI / 180;
-    const dLon = (lon2 - lon1) * Math.PI / 180;
-    const a =
-        Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-        Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-        Math.sin(dLon / 2) * Math.sin(dLon / 2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-    const distance = R * c; // Distance in kilometers
-    return distance;
 }
 
 module.exports = router; 
\ No newline at end of file
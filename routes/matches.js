@@ -3,7 +3,13 @@ const router = express.Router();
 const User = require('../models/User');
 const Match = require('../models/Match');
 const { protectUser } = require('../middleware/auth');
-const { validatePagination, validateObjectId } = require('../middleware/validation');
+const { validatePagination, validateMatchId } = require('../middleware/validation');
+const { leaveMatchRoom } = require('../socket/emitter');
+const { describePresence } = require('../services/presence');
+const { getMatchedUsers, countMatchedUsers } = require('../services/matches');
+const { getMatchForUser } = require('../services/chat');
+const { countLikesSent, countLikesReceived } = require('../services/swipes');
+const { approvedPhotos } = require('../services/photos');
 
 // @desc    Get user matches
 // @route   GET /api/matches
@@ -13,14 +19,18 @@ router.get('/', protectUser, validatePagination, async (req, res) => {
         const { page = 1, limit = 20 } = req.query;
         const skip = (page - 1) * limit;
 
-        const user = await User.findById(req.user._id)
-            .populate({
-                path: 'matches',
-                select: 'name photos bio interests age lastActive',
-                match: { isActive: true, isBlocked: false }
-            });
+        const [matchedUsers, total] = await Promise.all([
+            getMatchedUsers(req.user._id, 'name photos bio interests dob lastActive privacy', {
+                skip,
+                limit: parseInt(limit)
+            }),
+            countMatchedUsers(req.user._id)
+        ]);
 
-        const matches = user.matches.slice(skip, skip + parseInt(limit));
+        const matches = matchedUsers.map(({ match, user }) => ({
+            ...withPresence(user),
+            matchId: match._id
+        }));
 
         res.json({
             success: true,
@@ -29,8 +39,8 @@ router.get('/', protectUser, validatePagination, async (req, res) => {
                 pagination: {
                     page: parseInt(page),
                     limit: parseInt(limit),
-                    total: user.matches.length,
-                    hasMore: skip + matches.length < user.matches.length
+                    total,
+                    hasMore: skip + matchedUsers.length < total
                 }
             }
         });
@@ -43,35 +53,45 @@ router.get('/', protectUser, validatePagination, async (req, res) => {
     }
 });
 
+// @desc    Get presence of all matched users
+// @route   GET /api/matches/presence
+// @access  Private
+router.get('/presence', protectUser, async (req, res) => {
+    try {
+        const matchedUsers = await getMatchedUsers(req.user._id, 'lastActive privacy');
+
+        res.json({
+            success: true,
+            data: {
+                presence: matchedUsers.map(({ user }) => ({
+                    userId: user._id,
+                    ...describePresence(user)
+                }))
+            }
+        });
+    } catch (error) {
+        console.error('Get presence error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
 // @desc    Get specific match details
 // @route   GET /api/matches/:matchId
 // @access  Private
-router.get('/:matchId', protectUser, validateObjectId, async (req, res) => {
+router.get('/:matchId', protectUser, validateMatchId, async (req, res) => {
     try {
         const { matchId } = req.params;
         const userId = req.user._id;
 
-        const match = await Match.findById(matchId)
-            .populate('users', 'name photos bio interests age');
-
-        if (!match) {
-            return res.status(404).json({
-                success: false,
-                message: 'Match not found'
-            });
-        }
-
-        // Check if user is part of this match
-        if (!match.hasUser(userId)) {
-            return res.status(403).json({
-                success: false,
-                message: 'Not authorized to view this match'
-            });
-        }
+        // Ended matches are not found, so unmatched users cannot see each other's presence
+        const match = await getMatchForUser(matchId, userId, 'Not authorized to view this match');
 
         // Get the other user in the match
         const otherUser = match.getOtherUser(userId);
-        const otherUserData = await User.findById(otherUser).select('name photos bio interests age lastActive');
+        const otherUserData = await User.findById(otherUser).select('name photos bio interests dob lastActive privacy');
 
         res.json({
             success: true,
@@ -80,11 +100,18 @@ router.get('/:matchId', protectUser, validateObjectId, async (req, res) => {
                     id: match._id,
                     createdAt: match.createdAt,
                     lastMessageAt: match.lastMessageAt,
-                    otherUser: otherUserData
+                    otherUser: otherUserData ? withPresence(otherUserData) : null
                 }
             }
         });
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
         console.error('Get match error:', error);
         res.status(500).json({
             success: false,
@@ -96,7 +123,7 @@ router.get('/:matchId', protectUser, validateObjectId, async (req, res) => {
 // @desc    Unmatch a user
 // @route   DELETE /api/matches/:matchId
 // @access  Private
-router.delete('/:matchId', protectUser, validateObjectId, async (req, res) => {
+router.delete('/:matchId', protectUser, validateMatchId, async (req, res) => {
     try {
         const { matchId } = req.params;
         const userId = req.user._id;
@@ -117,20 +144,10 @@ router.delete('/:matchId', protectUser, validateObjectId, async (req, res) => {
             });
         }
 
-        const otherUserId = match.getOtherUser(userId);
-
-        // Remove match from both users
-        await User.findByIdAndUpdate(userId, {
-            $pull: { matches: otherUserId }
-        });
-
-        await User.findByIdAndUpdate(otherUserId, {
-            $pull: { matches: userId }
-        });
-
         // Deactivate the match
         match.isActive = false;
         await match.save();
+        leaveMatchRoom(match);
 
         res.json({
             success: true,
@@ -150,11 +167,13 @@ router.delete('/:matchId', protectUser, validateObjectId, async (req, res) => {
 // @access  Private
 router.get('/stats/overview', protectUser, async (req, res) => {
     try {
-        const user = await User.findById(req.user._id);
+        const userId = req.user._id;
 
-        const totalMatches = user.matches.length;
-        const totalLikes = user.likes.length;
-        const totalLikedBy = user.likedBy.length;
+        const [totalMatches, totalLikes, totalLikedBy] = await Promise.all([
+            countMatchedUsers(userId),
+            countLikesSent(userId),
+            countLikesReceived(userId)
+        ]);
 
         res.json({
             success: true,
@@ -176,4 +195,16 @@ router.get('/stats/overview', protectUser, async (req, res) => {
     }
 });
 
+// Helper function to swap raw lastActive (and dob, once age is computed) for presence
+// the user allows to show, and keep only approved photos
+function withPresence(userDoc) {
+    const { lastActive, privacy, dob, ...profile } = userDoc.toObject({ virtuals: true });
+
+    return {
+        ...profile,
+        photos: approvedPhotos(profile.photos),
+        presence: describePresence(userDoc)
+    };
+}
+
 module.exports = router; 
\ No newline at end of file
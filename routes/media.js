@@ -0,0 +1,67 @@
+const express = require('express');
+const router = express.Router();
+const { getStorage } = require('../services/storage');
+
+// @desc    Serve a stored file through a signed URL (local storage only)
+// @route   GET /api/media/*
+// @access  Public (verified by signature, except for public/ keys)
+router.get('/*', (req, res) => {
+    const storage = getStorage();
+    const { expires, signature } = req.query;
+
+    // S3 serves its own presigned URLs
+    if (!storage.verifySignature) {
+        return res.status(404).json({
+            success: false,
+            message: 'Route not found'
+        });
+    }
+
+    // Keys like public/../chat/... must not pass as public
+    const key = storage.normalizeKey(req.params[0]);
+    if (!key) {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid media key'
+        });
+    }
+
+    const isPublic = storage.isPublicKey(key);
+
+    if (!isPublic && !storage.verifySignature(key, expires, signature)) {
+        return res.status(403).json({
+            success: false,
+            message: 'Invalid or expired media link'
+        });
+    }
+
+    let stream;
+    try {
+        stream = storage.createReadStream(key);
+    } catch (error) {
+        return res.status(404).json({
+            success: false,
+            message: 'Media not found'
+        });
+    }
+
+    stream.on('error', () => {
+        if (!res.headersSent) {
+            res.status(404).json({
+                success: false,
+                message: 'Media not found'
+            });
+        }
+    });
+
+    stream.once('open', () => {
+        res.set({
+            'Content-Type': storage.getContentType(key),
+            'Cache-Control': isPublic ? 'public, max-age=86400' : 'private, max-age=300',
+            'Cross-Origin-Resource-Policy': 'cross-origin'
+        });
+        stream.pipe(res);
+    });
+});
+
+module.exports = router;
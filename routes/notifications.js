@@ -0,0 +1,163 @@
+const express = require('express');
+const router = express.Router();
+const Notification = require('../models/Notification');
+const { protectUser } = require('../middleware/auth');
+const { validatePagination, validateObjectId } = require('../middleware/validation');
+
+// @desc    Get notifications
+// @route   GET /api/notifications
+// @access  Private
+router.get('/', protectUser, validatePagination, async (req, res) => {
+    try {
+        const { page = 1, limit = 20, unreadOnly } = req.query;
+        const skip = (page - 1) * limit;
+        const userId = req.user._id;
+
+        const query = { user: userId };
+        if (unreadOnly === 'true') query.isRead = false;
+
+        const [notifications, unreadCount] = await Promise.all([
+            Notification.find(query)
+                .sort({ updatedAt: -1 })
+                .skip(skip)
+                .limit(parseInt(limit))
+                .lean(),
+            Notification.countDocuments({ user: userId, isRead: false })
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                notifications,
+                unreadCount,
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    hasMore: notifications.length === parseInt(limit)
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Get notifications error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Get unread notification count (badge)
+// @route   GET /api/notifications/unread-count
+// @access  Private
+router.get('/unread-count', protectUser, async (req, res) => {
+    try {
+        const unreadCount = await Notification.countDocuments({
+            user: req.user._id,
+            isRead: false
+        });
+
+        res.json({
+            success: true,
+            data: { unreadCount }
+        });
+    } catch (error) {
+        console.error('Get unread notification count error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Mark all notifications as read
+// @route   PUT /api/notifications/read-all
+// @access  Private
+router.put('/read-all', protectUser, async (req, res) => {
+    try {
+        const result = await Notification.updateMany(
+            { user: req.user._id, isRead: false },
+            { isRead: true, readAt: new Date() }
+        );
+
+        res.json({
+            success: true,
+            message: 'Notifications marked as read',
+            data: {
+                updated: result.modifiedCount
+            }
+        });
+    } catch (error) {
+        console.error('Mark all notifications as read error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Mark a notification as read
+// @route   PUT /api/notifications/:id/read
+// @access  Private
+router.put('/:id/read', protectUser, validateObjectId, async (req, res) => {
+    try {
+        const notification = await Notification.findOne({
+            _id: req.params.id,
+            user: req.user._id
+        });
+
+        if (!notification) {
+            return res.status(404).json({
+                success: false,
+                message: 'Notification not found'
+            });
+        }
+
+        if (!notification.isRead) {
+            await notification.markAsRead();
+        }
+
+        res.json({
+            success: true,
+            message: 'Notification marked as read',
+            data: { notification }
+        });
+    } catch (error) {
+        console.error('Mark notification as read error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Delete a notification
+// @route   DELETE /api/notifications/:id
+// @access  Private
+router.delete('/:id', protectUser, validateObjectId, async (req, res) => {
+    try {
+        const notification = await Notification.findOneAndDelete({
+            _id: req.params.id,
+            user: req.user._id
+        });
+
+        if (!notification) {
+            return res.status(404).json({
+                success: false,
+                message: 'Notification not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Notification deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete notification error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+module.exports = router;
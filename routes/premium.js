@@ -0,0 +1,278 @@
+const crypto = require('crypto');
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const Payment = require('../models/Payment');
+const { protectUser } = require('../middleware/auth');
+const {
+    validatePremiumPurchase,
+    validatePaymentVerification,
+    validatePagination
+} = require('../middleware/validation');
+const { getPaymentProvider } = require('../services/payments');
+const { PLANS, PAYABLE_STATUSES, getPlan, completePayment } = require('../services/premium');
+const { processWebhookEvent } = require('../services/paymentWebhooks');
+
+// @desc    Get available premium plans
+// @route   GET /api/premium/plans
+// @access  Public
+router.get('/plans', (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            plans: Object.values(PLANS)
+        }
+    });
+});
+
+// @desc    Get current user's premium status
+// @route   GET /api/premium/status
+// @access  Private
+router.get('/status', protectUser, async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id);
+
+        res.json({
+            success: true,
+            data: premiumStatus(user)
+        });
+    } catch (error) {
+        console.error('Get premium status error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Create a checkout order for a premium plan
+// @route   POST /api/premium/checkout
+// @access  Private
+router.post('/checkout', protectUser, validatePremiumPurchase, async (req, res) => {
+    try {
+        const { plan: planId, paymentMethod } = req.body;
+        const plan = getPlan(planId);
+
+        const provider = getPaymentProvider(paymentMethod);
+        if (!provider) {
+            return res.status(400).json({
+                success: false,
+                message: 'Payment method is not supported yet'
+            });
+        }
+
+        const user = await User.findById(req.user._id);
+        if (user.isPremium && user.premiumPlan === 'lifetime') {
+            return res.status(400).json({
+                success: false,
+                message: 'You already have lifetime premium'
+            });
+        }
+
+        const order = await provider.createOrder({
+            amount: plan.amount,
+            currency: plan.currency,
+            receipt: `premium_${user._id}_${Date.now()}`,
+            notes: {
+                userId: user._id.toString(),
+                plan: plan.id
+            }
+        });
+
+        const payment = await Payment.create({
+            user: user._id,
+            plan: plan.id,
+            provider: paymentMethod,
+            orderId: order.orderId,
+            amount: order.amount,
+            currency: order.currency
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Checkout created successfully',
+            data: {
+                checkout: {
+                    id: payment._id,
+                    orderId: payment.orderId,
+                    amount: payment.amount,
+                    currency: payment.currency,
+                    plan: plan.id,
+                    provider: paymentMethod,
+                    keyId: provider.publicKey
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Create checkout error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Verify a completed payment and activate premium
+// @route   POST /api/premium/verify
+// @access  Private
+router.post('/verify', protectUser, validatePaymentVerification, async (req, res) => {
+    try {
+        const { orderId, paymentId, signature } = req.body;
+        const userId = req.user._id;
+
+        const payment = await Payment.findOne({ orderId, user: userId });
+        if (!payment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        // Verifying twice is harmless; return the current state
+        if (payment.status === 'paid') {
+            const user = await User.findById(userId);
+            return res.json({
+                success: true,
+                message: 'Payment already verified',
+                data: premiumStatus(user)
+            });
+        }
+
+        if (!PAYABLE_STATUSES.includes(payment.status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Payment is ${payment.status}`
+            });
+        }
+
+        const provider = getPaymentProvider(payment.provider);
+        if (!provider || !provider.verifyPayment({ orderId, paymentId, signature })) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid payment signature'
+            });
+        }
+
+        const result = await completePayment(payment, paymentId);
+
+        if (!result) {
+            const user = await User.findById(userId);
+            return res.json({
+                success: true,
+                message: 'Payment already verified',
+                data: premiumStatus(user)
+            });
+        }
+
+        const { user } = result;
+
+        res.json({
+            success: true,
+            message: 'Premium activated successfully',
+            data: premiumStatus(user)
+        });
+    } catch (error) {
+        console.error('Verify payment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Get payment history
+// @route   GET /api/premium/history
+// @access  Private
+router.get('/history', protectUser, validatePagination, async (req, res) => {
+    try {
+        const { page = 1, limit = 20 } = req.query;
+        const skip = (page - 1) * limit;
+
+        const payments = await Payment.find({ user: req.user._id })
+            .select('plan provider orderId amount currency status paidAt premiumExpiresAt createdAt')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(parseInt(limit))
+            .lean();
+
+        res.json({
+            success: true,
+            data: {
+                payments,
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    hasMore: payments.length === parseInt(limit)
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Get payment history error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Receive payment provider webhooks
+// @route   POST /api/premium/webhooks/:provider
+// @access  Public (verified by signature)
+router.post('/webhooks/:provider', async (req, res) => {
+    try {
+        const providerName = req.params.provider;
+        const provider = getPaymentProvider(providerName);
+
+        if (!provider || !provider.verifyWebhookSignature) {
+            return res.status(404).json({
+                success: false,
+                message: 'Unknown payment provider'
+            });
+        }
+
+        if (!provider.verifyWebhookSignature(req.rawBody, req.headers)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid webhook signature'
+            });
+        }
+
+        const event = provider.parseWebhookEvent(req.body, req.headers);
+
+        // Fall back to the body hash so an identical replay is still detected
+        if (!event.id) {
+            event.id = crypto.createHash('sha256').update(req.rawBody).digest('hex');
+        }
+
+        const result = await processWebhookEvent(providerName, event, req.body);
+
+        res.json({
+            success: true,
+            message: result.duplicate ? 'Event already processed' : 'Event processed',
+            data: {
+                eventId: event.id,
+                status: result.duplicate ? 'duplicate' : result.event.status
+            }
+        });
+    } catch (error) {
+        // A non-2xx response makes the provider retry the delivery
+        console.error('Payment webhook error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Helper function to describe a user's premium state
+function premiumStatus(user) {
+    const isPremium = user.isPremiumActive();
+
+    return {
+        isPremium,
+        plan: isPremium ? user.premiumPlan || null : null,
+        premiumExpiresAt: isPremium ? user.premiumExpiresAt || null : null
+    };
+}
+
+module.exports = router;
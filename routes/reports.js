@@ -0,0 +1,344 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Report = require('../models/Report');
+const User = require('../models/User');
+const { protectUser, protectAdmin, checkPermission } = require('../middleware/auth');
+const {
+    validateReport,
+    validateReportResolution,
+    validateReportDismissal,
+    validatePagination,
+    validateObjectId
+} = require('../middleware/validation');
+const { hasEncountered, applyReportAction, getReporterOutcome } = require('../services/moderation');
+const { notifyReportOutcome } = require('../services/notifications');
+const { withApprovedPhotos } = require('../services/photos');
+
+const { OPEN_STATUSES } = Report;
+
+// Explain why a report could not be closed: missing, or already decided
+const rejectClosedReport = async (reportId, res) => {
+    const report = await Report.findById(reportId).select('status');
+    if (!report) {
+        return res.status(404).json({
+            success: false,
+            message: 'Report not found'
+        });
+    }
+
+    return res.status(400).json({
+        success: false,
+        message: `Report is already ${report.status}`
+    });
+};
+
+// @desc    Report a user
+// @route   POST /api/reports
+// @access  Private
+router.post('/', protectUser, validateReport, async (req, res) => {
+    try {
+        const { reportedUserId, reason, description, evidence = [] } = req.body;
+        const reporterId = req.user._id;
+
+        if (reportedUserId === reporterId.toString()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cannot report yourself'
+            });
+        }
+
+        const reportedUser = await User.exists({ _id: reportedUserId });
+        if (!reportedUser) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        if (!(await hasEncountered(reporterId, reportedUserId))) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only report users you have interacted with'
+            });
+        }
+
+        // One open report per reporter and user is enough for the queue
+        const existingReport = await Report.findOne({
+            reportedBy: reporterId,
+            reportedUser: reportedUserId,
+            status: { $in: OPEN_STATUSES }
+        });
+
+        if (existingReport) {
+            return res.status(400).json({
+                success: false,
+                message: 'You have already reported this user'
+            });
+        }
+
+        const report = await Report.create({
+            reportedBy: reporterId,
+            reportedUser: reportedUserId,
+            reason,
+            description,
+            evidence
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Report submitted successfully',
+            data: {
+                report: {
+                    id: report._id,
+                    reason: report.reason,
+                    status: report.status,
+                    createdAt: report.createdAt
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Create report error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Get reports filed by the current user
+// @route   GET /api/reports/mine
+// @access  Private
+router.get('/mine', protectUser, validatePagination, async (req, res) => {
+    try {
+        const { page = 1, limit = 20 } = req.query;
+        const skip = (page - 1) * limit;
+
+        const reports = await Report.find({ reportedBy: req.user._id })
+            .populate('reportedUser', 'name photos')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(parseInt(limit))
+            .lean();
+
+        res.json({
+            success: true,
+            data: {
+                reports: reports.map(report => ({
+                    id: report._id,
+                    reportedUser: withApprovedPhotos(report.reportedUser),
+                    reason: report.reason,
+                    status: report.status,
+                    outcome: getReporterOutcome(report),
+                    createdAt: report.createdAt,
+                    resolvedAt: report.resolvedAt
+                })),
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    hasMore: reports.length === parseInt(limit)
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Get my reports error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Get the moderation queue
+// @route   GET /api/reports
+// @access  Private (manage_reports)
+router.get('/', protectAdmin, checkPermission('manage_reports'), validatePagination, async (req, res) => {
+    try {
+        const { page = 1, limit = 20, status, reason, reportedUserId } = req.query;
+        const skip = (page - 1) * limit;
+
+        // Default to the open queue, oldest first
+        const query = {
+            status: status ? String(status) : { $in: OPEN_STATUSES }
+        };
+        if (reason) query.reason = String(reason);
+        if (reportedUserId) {
+            if (!mongoose.isValidObjectId(reportedUserId)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid user ID'
+                });
+            }
+            query.reportedUser = reportedUserId;
+        }
+
+        const [reports, total] = await Promise.all([
+            Report.find(query)
+                .populate('reportedBy', 'name email')
+                .populate('reportedUser', 'name email isBlocked')
+                .sort({ createdAt: 1 })
+                .skip(skip)
+                .limit(parseInt(limit))
+                .lean(),
+            Report.countDocuments(query)
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                reports,
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    hasMore: skip + reports.length < total
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Get reports error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Get report details
+// @route   GET /api/reports/:id
+// @access  Private (manage_reports)
+router.get('/:id', protectAdmin, checkPermission('manage_reports'), validateObjectId, async (req, res) => {
+    try {
+        const report = await Report.findById(req.params.id)
+            .populate('reportedBy', 'name email')
+            .populate('reportedUser', 'name email photos isBlocked')
+            .populate('resolvedBy', 'username');
+
+        if (!report) {
+            return res.status(404).json({
+                success: false,
+                message: 'Report not found'
+            });
+        }
+
+        // Earlier reports against the same user help the moderator decide
+        const previousReports = await Report.countDocuments({
+            reportedUser: report.populated('reportedUser') || report.reportedUser,
+            _id: { $ne: report._id }
+        });
+
+        res.json({
+            success: true,
+            data: {
+                report,
+                previousReports
+            }
+        });
+    } catch (error) {
+        console.error('Get report error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Start investigating a report
+// @route   PUT /api/reports/:id/investigate
+// @access  Private (manage_reports)
+router.put('/:id/investigate', protectAdmin, checkPermission('manage_reports'), validateObjectId, async (req, res) => {
+    try {
+        const report = await Report.findOneAndUpdate(
+            { _id: req.params.id, status: 'pending' },
+            { status: 'investigating' },
+            { new: true }
+        );
+
+        if (!report) {
+            return res.status(400).json({
+                success: false,
+                message: 'Report not found or not pending'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Report marked as investigating',
+            data: { report }
+        });
+    } catch (error) {
+        console.error('Investigate report error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Resolve a report
+// @route   PUT /api/reports/:id/resolve
+// @access  Private (manage_reports)
+router.put('/:id/resolve', protectAdmin, checkPermission('manage_reports'), validateObjectId, validateReportResolution, async (req, res) => {
+    try {
+        const { action, notes, durationDays } = req.body;
+
+        // Only the admin whose update closes the report applies the action
+        const report = await Report.resolveOpen(req.params.id, req.admin._id, action, notes);
+        if (!report) {
+            return rejectClosedReport(req.params.id, res);
+        }
+
+        try {
+            await applyReportAction(report, {
+                durationDays: durationDays ? parseInt(durationDays) : undefined
+            });
+        } catch (error) {
+            // Without its action the report is not resolved; leave it open to retry
+            await Report.reopen(report._id);
+            throw error;
+        }
+        await notifyReportOutcome(report, getReporterOutcome(report));
+
+        res.json({
+            success: true,
+            message: 'Report resolved successfully',
+            data: { report }
+        });
+    } catch (error) {
+        console.error('Resolve report error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Dismiss a report
+// @route   PUT /api/reports/:id/dismiss
+// @access  Private (manage_reports)
+router.put('/:id/dismiss', protectAdmin, checkPermission('manage_reports'), validateObjectId, validateReportDismissal, async (req, res) => {
+    try {
+        const { notes } = req.body;
+
+        const report = await Report.dismissOpen(req.params.id, req.admin._id, notes);
+        if (!report) {
+            return rejectClosedReport(req.params.id, res);
+        }
+
+        await notifyReportOutcome(report, getReporterOutcome(report));
+
+        res.json({
+            success: true,
+            message: 'Report dismissed successfully',
+            data: { report }
+        });
+    } catch (error) {
+        console.error('Dismiss report error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+module.exports = router;
@@ -2,22 +2,68 @@ const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
 const { protectUser } = require('../middleware/auth');
-const { validateProfileUpdate, validateLocation } = require('../middleware/validation');
+const { uploadSingle } = require('../middleware/upload');
+const {
+    validateProfileUpdate,
+    validateLocation,
+    validateTravel,
+    validatePushPreferences,
+    validatePrivacySettings,
+    validateDiscoveryPreferences,
+    validateDeviceRegistration,
+    validatePhotoId,
+    validatePhotoOrder
+} = require('../middleware/validation');
+const Device = require('../models/Device');
+const { registerDevice, unregisterDevice } = require('../services/devices');
+const { broadcastPresence } = require('../socket/presence');
+const { leaveMatchRoom } = require('../socket/emitter');
+const { getMatchedUsers, endMatchesBetween } = require('../services/matches');
+const { removeLike } = require('../services/swipes');
+const {
+    PHOTO_MAX_BYTES,
+    PHOTO_TYPES,
+    getPhotoLimit,
+    addPhoto,
+    removePhoto,
+    reorderPhotos,
+    setPrimaryPhoto,
+    describePhotos,
+    withApprovedPhotos
+} = require('../services/photos');
+const { refreshProfileCompleted } = require('../services/profile');
+const { getDiscoveryPreferences } = require('../services/discovery');
+const { toStoredPoint } = require('../utils/geo');
+const {
+    MAX_TRAVEL_DAYS,
+    TRAVEL_CITIES,
+    startTravel,
+    stopTravel,
+    describeTravel
+} = require('../services/travel');
+
+const photoUpload = uploadSingle('photo', {
+    maxSize: PHOTO_MAX_BYTES,
+    mimeTypes: PHOTO_TYPES
+});
 
 // @desc    Get user profile
 // @route   GET /api/users/profile
 // @access  Private
 router.get('/profile', protectUser, async (req, res) => {
     try {
-        const user = await User.findById(req.user._id)
-            .select('-password')
-            .populate('matches', 'name photos');
+        const [user, matchedUsers] = await Promise.all([
+            User.findById(req.user._id).select('-password'),
+            getMatchedUsers(req.user._id, 'name photos')
+        ]);
 
         res.json({
             success: true,
             data: {
                 user: {
                     ...user.toObject(),
+                    ...await describePhotos(user),
+                    matches: matchedUsers.map(({ user: matchedUser }) => withApprovedPhotos(matchedUser)),
                     isPremium: user.isPremiumActive()
                 }
             }
@@ -36,12 +82,13 @@ router.get('/profile', protectUser, async (req, res) => {
 // @access  Private
 router.put('/profile', protectUser, validateProfileUpdate, async (req, res) => {
     try {
-        const { name, bio, interests } = req.body;
+        const { name, bio, interests, timezone } = req.body;
 
         const updateData = {};
         if (name) updateData.name = name;
         if (bio !== undefined) updateData.bio = bio;
         if (interests) updateData.interests = interests;
+        if (timezone) updateData.timezone = timezone;
 
         const user = await User.findByIdAndUpdate(
             req.user._id,
@@ -73,10 +120,8 @@ router.put('/location', protectUser, validateLocation, async (req, res) => {
         const user = await User.findByIdAndUpdate(
             req.user._id,
             {
-                location: {
-                    type: 'Point',
-                    coordinates: [parseFloat(longitude), parseFloat(latitude)]
-                }
+                // Stored snapped to the privacy grid, never exact
+                location: toStoredPoint(parseFloat(longitude), parseFloat(latitude))
             },
             { new: true, runValidators: true }
         ).select('-password');
@@ -95,41 +140,138 @@ router.put('/location', protectUser, validateLocation, async (req, res) => {
     }
 });
 
-// @desc    Upload profile photo
-// @route   POST /api/users/upload-photo
+// @desc    Get the current trip and the cities travel mode offers
+// @route   GET /api/users/travel
 // @access  Private
-router.post('/upload-photo', protectUser, async (req, res) => {
+router.get('/travel', protectUser, async (req, res) => {
     try {
-        const { photoUrl } = req.body;
+        res.json({
+            success: true,
+            data: {
+                travel: describeTravel(req.user),
+                cities: TRAVEL_CITIES.map(({ id, name, country }) => ({ id, name, country })),
+                maxDays: MAX_TRAVEL_DAYS
+            }
+        });
+    } catch (error) {
+        console.error('Get travel error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
 
-        if (!photoUrl) {
-            return res.status(400).json({
+// @desc    Start travel mode at a city or coordinates (premium)
+// @route   PUT /api/users/travel
+// @access  Private
+router.put('/travel', protectUser, validateTravel, async (req, res) => {
+    try {
+        const { cityId, latitude, longitude, days } = req.body;
+
+        const user = await startTravel(req.user, {
+            cityId,
+            latitude,
+            longitude,
+            days: days !== undefined ? parseInt(days) : undefined
+        });
+
+        res.json({
+            success: true,
+            message: 'Travel mode started',
+            data: {
+                travel: describeTravel(user)
+            }
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
                 success: false,
-                message: 'Photo URL is required'
+                message: error.message,
+                ...(error.code && { code: error.code })
             });
         }
 
-        const user = await User.findById(req.user._id);
-
-        // Add photo to photos array
-        user.photos.push(photoUrl);
+        console.error('Start travel error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
 
-        // Mark profile as completed if it has at least one photo
-        if (!user.profileCompleted && user.photos.length > 0) {
-            user.profileCompleted = true;
-        }
+// @desc    End travel mode
+// @route   DELETE /api/users/travel
+// @access  Private
+router.delete('/travel', protectUser, async (req, res) => {
+    try {
+        await stopTravel(req.user._id);
 
-        await user.save();
+        res.json({
+            success: true,
+            message: 'Travel mode ended',
+            data: {
+                travel: { active: false }
+            }
+        });
+    } catch (error) {
+        console.error('End travel error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
 
+// @desc    Get profile photos
+// @route   GET /api/users/photos
+// @access  Private
+router.get('/photos', protectUser, async (req, res) => {
+    try {
         res.json({
             success: true,
-            message: 'Photo uploaded successfully',
             data: {
-                photos: user.photos,
-                profileCompleted: user.profileCompleted
+                ...await describePhotos(req.user),
+                maxPhotos: getPhotoLimit(req.user)
             }
         });
     } catch (error) {
+        console.error('Get photos error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Upload profile photo
+// @route   POST /api/users/upload-photo
+// @access  Private
+router.post('/upload-photo', protectUser, photoUpload, async (req, res) => {
+    try {
+        const user = await addPhoto(req.user, req.file);
+        const profileCompleted = await refreshProfileCompleted(req.user._id);
+
+        const { photos, primaryPhotoId } = await describePhotos(user);
+
+        res.status(201).json({
+            success: true,
+            message: 'Photo uploaded and waiting for review',
+            data: {
+                photo: photos[photos.length - 1],
+                photos,
+                primaryPhotoId,
+                profileCompleted
+            }
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
         console.error('Upload photo error:', error);
         res.status(500).json({
             success: false,
@@ -138,40 +280,86 @@ router.post('/upload-photo', protectUser, async (req, res) => {
     }
 });
 
-// @desc    Delete profile photo
-// @route   DELETE /api/users/photos/:photoIndex
+// @desc    Reorder profile photos
+// @route   PUT /api/users/photos/order
 // @access  Private
-router.delete('/photos/:photoIndex', protectUser, async (req, res) => {
+router.put('/photos/order', protectUser, validatePhotoOrder, async (req, res) => {
     try {
-        const photoIndex = parseInt(req.params.photoIndex);
-        const user = await User.findById(req.user._id);
+        const user = await reorderPhotos(req.user, req.body.photoIds);
 
-        if (photoIndex < 0 || photoIndex >= user.photos.length) {
-            return res.status(400).json({
+        res.json({
+            success: true,
+            message: 'Photos reordered successfully',
+            data: await describePhotos(user)
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
                 success: false,
-                message: 'Invalid photo index'
+                message: error.message
             });
         }
 
-        // Remove photo at specified index
-        user.photos.splice(photoIndex, 1);
+        console.error('Reorder photos error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Set primary profile photo
+// @route   PUT /api/users/photos/:photoId/primary
+// @access  Private
+router.put('/photos/:photoId/primary', protectUser, validatePhotoId, async (req, res) => {
+    try {
+        const user = await setPrimaryPhoto(req.user._id, req.params.photoId);
 
-        // Mark profile as incomplete if no photos left
-        if (user.photos.length === 0) {
-            user.profileCompleted = false;
+        res.json({
+            success: true,
+            message: 'Primary photo updated successfully',
+            data: await describePhotos(user)
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
         }
 
-        await user.save();
+        console.error('Set primary photo error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Delete profile photo
+// @route   DELETE /api/users/photos/:photoId
+// @access  Private
+router.delete('/photos/:photoId', protectUser, validatePhotoId, async (req, res) => {
+    try {
+        const user = await removePhoto(req.user._id, req.params.photoId);
+        const profileCompleted = await refreshProfileCompleted(req.user._id);
 
         res.json({
             success: true,
             message: 'Photo deleted successfully',
             data: {
-                photos: user.photos,
-                profileCompleted: user.profileCompleted
+                ...await describePhotos(user),
+                profileCompleted
             }
         });
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
         console.error('Delete photo error:', error);
         res.status(500).json({
             success: false,
@@ -209,12 +397,13 @@ router.post('/block/:userId', protectUser, async (req, res) => {
             user.blocked.push(targetUserId);
         }
 
-        // Remove from likes and matches if exists
-        user.likes = user.likes.filter(id => id.toString() !== targetUserId);
-        user.matches = user.matches.filter(id => id.toString() !== targetUserId);
-
         await user.save();
 
+        // Remove the like and end any match between them
+        await removeLike(user._id, targetUser._id);
+        const endedMatches = await endMatchesBetween(user._id, targetUser._id);
+        endedMatches.forEach(leaveMatchRoom);
+
         res.json({
             success: true,
             message: 'User blocked successfully'
@@ -264,7 +453,7 @@ router.get('/blocked', protectUser, async (req, res) => {
         res.json({
             success: true,
             data: {
-                blockedUsers: user.blocked
+                blockedUsers: user.blocked.map(withApprovedPhotos)
             }
         });
     } catch (error) {
@@ -276,7 +465,7 @@ router.get('/blocked', protectUser, async (req, res) => {
     }
 });
 
-// @desc    Update FCM token
+// @desc    Update FCM token (legacy; registers the token as a device)
 // @route   PUT /api/users/fcm-token
 // @access  Private
 router.put('/fcm-token', protectUser, async (req, res) => {
@@ -290,7 +479,7 @@ router.put('/fcm-token', protectUser, async (req, res) => {
             });
         }
 
-        await User.findByIdAndUpdate(req.user._id, { fcmToken });
+        await registerDevice(req.user._id, { token: fcmToken });
 
         res.json({
             success: true,
@@ -305,4 +494,272 @@ router.put('/fcm-token', protectUser, async (req, res) => {
     }
 });
 
+// @desc    Get registered devices
+// @route   GET /api/users/devices
+// @access  Private
+router.get('/devices', protectUser, async (req, res) => {
+    try {
+        const devices = await Device.find({ user: req.user._id })
+            .select('platform appVersion locale lastSeenAt createdAt')
+            .sort({ lastSeenAt: -1 })
+            .lean();
+
+        res.json({
+            success: true,
+            data: { devices }
+        });
+    } catch (error) {
+        console.error('Get devices error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Register a device for push notifications
+// @route   POST /api/users/devices
+// @access  Private
+router.post('/devices', protectUser, validateDeviceRegistration, async (req, res) => {
+    try {
+        const { token, platform, appVersion, locale } = req.body;
+
+        const device = await registerDevice(req.user._id, {
+            token,
+            platform,
+            appVersion,
+            locale
+        });
+
+        res.json({
+            success: true,
+            message: 'Device registered successfully',
+            data: {
+                device: {
+                    id: device._id,
+                    platform: device.platform,
+                    appVersion: device.appVersion,
+                    locale: device.locale,
+                    lastSeenAt: device.lastSeenAt
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Register device error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Unregister a device
+// @route   DELETE /api/users/devices/:token
+// @access  Private
+router.delete('/devices/:token', protectUser, async (req, res) => {
+    try {
+        const removed = await unregisterDevice(req.user._id, req.params.token);
+
+        if (!removed) {
+            return res.status(404).json({
+                success: false,
+                message: 'Device not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Device unregistered successfully'
+        });
+    } catch (error) {
+        console.error('Unregister device error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Get push notification preferences
+// @route   GET /api/users/push-preferences
+// @access  Private
+router.get('/push-preferences', protectUser, async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select('pushPreferences');
+
+        res.json({
+            success: true,
+            data: {
+                pushPreferences: user.pushPreferences
+            }
+        });
+    } catch (error) {
+        console.error('Get push preferences error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Update push notification preferences
+// @route   PUT /api/users/push-preferences
+// @access  Private
+router.put('/push-preferences', protectUser, validatePushPreferences, async (req, res) => {
+    try {
+        const updateData = {};
+        ['matches', 'messages', 'likes', 'account', 'premium'].forEach(category => {
+            if (req.body[category] !== undefined) {
+                updateData[`pushPreferences.${category}`] = req.body[category] === true || req.body[category] === 'true';
+            }
+        });
+
+        const user = await User.findByIdAndUpdate(
+            req.user._id,
+            { $set: updateData },
+            { new: true, runValidators: true }
+        ).select('pushPreferences');
+
+        res.json({
+            success: true,
+            message: 'Push preferences updated successfully',
+            data: {
+                pushPreferences: user.pushPreferences
+            }
+        });
+    } catch (error) {
+        console.error('Update push preferences error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Get discovery preferences
+// @route   GET /api/users/discovery-preferences
+// @access  Private
+router.get('/discovery-preferences', protectUser, async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: {
+                discoveryPreferences: getDiscoveryPreferences(req.user)
+            }
+        });
+    } catch (error) {
+        console.error('Get discovery preferences error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Update discovery preferences
+// @route   PUT /api/users/discovery-preferences
+// @access  Private
+router.put('/discovery-preferences', protectUser, validateDiscoveryPreferences, async (req, res) => {
+    try {
+        const { genders, minAge, maxAge, maxDistance, verifiedOnly } = req.body;
+        const current = getDiscoveryPreferences(req.user);
+
+        const updated = {
+            genders: genders !== undefined ? [...new Set(genders)] : current.genders,
+            minAge: minAge !== undefined ? parseInt(minAge) : current.minAge,
+            maxAge: maxAge !== undefined ? parseInt(maxAge) : current.maxAge,
+            maxDistance: maxDistance !== undefined ? parseInt(maxDistance) : current.maxDistance,
+            verifiedOnly: verifiedOnly !== undefined
+                ? verifiedOnly === true || verifiedOnly === 'true'
+                : current.verifiedOnly
+        };
+
+        if (updated.minAge > updated.maxAge) {
+            return res.status(400).json({
+                success: false,
+                message: 'Minimum age cannot be greater than maximum age'
+            });
+        }
+
+        const user = await User.findByIdAndUpdate(
+            req.user._id,
+            { discoveryPreferences: updated },
+            { new: true, runValidators: true }
+        ).select('discoveryPreferences');
+
+        res.json({
+            success: true,
+            message: 'Discovery preferences updated successfully',
+            data: {
+                discoveryPreferences: getDiscoveryPreferences(user)
+            }
+        });
+    } catch (error) {
+        console.error('Update discovery preferences error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Get privacy settings
+// @route   GET /api/users/privacy
+// @access  Private
+router.get('/privacy', protectUser, async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select('privacy');
+
+        res.json({
+            success: true,
+            data: {
+                privacy: user.privacy
+            }
+        });
+    } catch (error) {
+        console.error('Get privacy settings error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Update privacy settings
+// @route   PUT /api/users/privacy
+// @access  Private
+router.put('/privacy', protectUser, validatePrivacySettings, async (req, res) => {
+    try {
+        const { showPresence } = req.body;
+
+        const updateData = {};
+        if (showPresence !== undefined) {
+            updateData['privacy.showPresence'] = showPresence === true || showPresence === 'true';
+        }
+
+        const user = await User.findByIdAndUpdate(
+            req.user._id,
+            { $set: updateData },
+            { new: true, runValidators: true }
+        ).select('privacy lastActive');
+
+        // Matches see the change straight away
+        broadcastPresence(user);
+
+        res.json({
+            success: true,
+            message: 'Privacy settings updated successfully',
+            data: {
+                privacy: user.privacy
+            }
+        });
+    } catch (error) {
+        console.error('Update privacy settings error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,48 @@
+// Give existing matches a pairKey and end duplicate active matches, keeping
+// the one with the most recent message, so the unique pair index can be built.
+// Usage: node scripts/backfill-match-pair-keys.js
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Match = require('../models/Match');
+
+const backfill = async () => {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/cursor-dating');
+
+    const cursor = Match.collection.find(
+        { pairKey: { $exists: false } },
+        { projection: { users: 1 } }
+    );
+
+    let updated = 0;
+    for await (const match of cursor) {
+        await Match.collection.updateOne(
+            { _id: match._id },
+            { $set: { pairKey: Match.pairKey(match.users[0], match.users[1]) } }
+        );
+        updated++;
+    }
+
+    const duplicates = await Match.aggregate([
+        { $match: { isActive: true } },
+        { $sort: { lastMessageAt: -1 } },
+        { $group: { _id: '$pairKey', ids: { $push: '$_id' }, count: { $sum: 1 } } },
+        { $match: { count: { $gt: 1 } } }
+    ]);
+
+    const extraIds = duplicates.flatMap(group => group.ids.slice(1));
+    if (extraIds.length) {
+        await Match.updateMany({ _id: { $in: extraIds } }, { isActive: false });
+    }
+
+    await Match.syncIndexes();
+
+    console.log(`✅ Added pair keys to ${updated} matches, ended ${extraIds.length} duplicates`);
+};
+
+backfill()
+    .catch((err) => {
+        console.error('❌ Backfill failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.connection.close());
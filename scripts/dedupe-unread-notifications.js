@@ -0,0 +1,52 @@
+// Fold duplicate unread like and message notifications into the most recent
+// one, so the unique unread indexes can be built.
+// Usage: node scripts/dedupe-unread-notifications.js
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Notification = require('../models/Notification');
+
+// How each folded type is grouped; matches the upsert filters
+const GROUPS = {
+    like_received: { user: '$user' },
+    new_message: { user: '$user', matchId: '$data.matchId' }
+};
+
+const dedupe = async () => {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/cursor-dating');
+
+    let folded = 0;
+    for (const [type, key] of Object.entries(GROUPS)) {
+        const duplicates = await Notification.aggregate([
+            { $match: { type, isRead: false } },
+            { $sort: { updatedAt: -1 } },
+            {
+                $group: {
+                    _id: key,
+                    ids: { $push: '$_id' },
+                    count: { $sum: '$count' },
+                    entries: { $sum: 1 }
+                }
+            },
+            { $match: { entries: { $gt: 1 } } }
+        ]);
+
+        for (const group of duplicates) {
+            const [keep, ...extra] = group.ids;
+            await Notification.updateOne({ _id: keep }, { count: group.count });
+            await Notification.deleteMany({ _id: { $in: extra } });
+            folded += extra.length;
+        }
+    }
+
+    await Notification.createIndexes();
+
+    console.log(`✅ Folded ${folded} duplicate notifications and built the unread indexes`);
+};
+
+dedupe()
+    .catch((err) => {
+        console.error('❌ Deduplication failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.connection.close());
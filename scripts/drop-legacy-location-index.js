@@ -0,0 +1,33 @@
+// Drop the old single-field { location: '2dsphere' } index, which the compound
+// discovery index replaced, and build the indexes the User schema declares.
+// Usage: node scripts/drop-legacy-location-index.js
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../models/User');
+
+const LEGACY_INDEX = 'location_2dsphere';
+
+const dropLegacyIndex = async () => {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/cursor-dating');
+
+    const indexes = await User.collection.indexes();
+    const legacy = indexes.find(index => index.name === LEGACY_INDEX);
+
+    if (legacy) {
+        await User.collection.dropIndex(LEGACY_INDEX);
+    }
+
+    await User.createIndexes();
+
+    console.log(legacy
+        ? `✅ Dropped ${LEGACY_INDEX} and built the discovery indexes`
+        : `✅ No ${LEGACY_INDEX} index found; discovery indexes are built`);
+};
+
+dropLegacyIndex()
+    .catch((err) => {
+        console.error('❌ Dropping the legacy index failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.connection.close());
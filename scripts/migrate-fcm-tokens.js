@@ -0,0 +1,35 @@
+// Move the legacy single User.fcmToken into the Device collection.
+// Usage: node scripts/migrate-fcm-tokens.js
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../models/User');
+const { registerDevice } = require('../services/devices');
+
+const migrate = async () => {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/cursor-dating');
+
+    // fcmToken is no longer in the schema, so read it from the raw collection
+    const cursor = User.collection.find(
+        { fcmToken: { $exists: true, $ne: null } },
+        { projection: { fcmToken: 1 } }
+    );
+
+    let migrated = 0;
+    for await (const user of cursor) {
+        if (user.fcmToken) {
+            await registerDevice(user._id, { token: user.fcmToken });
+            migrated++;
+        }
+        await User.collection.updateOne({ _id: user._id }, { $unset: { fcmToken: 1 } });
+    }
+
+    console.log(`✅ Migrated ${migrated} FCM tokens to devices`);
+};
+
+migrate()
+    .catch((err) => {
+        console.error('❌ Migration failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.connection.close());
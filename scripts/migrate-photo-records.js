@@ -0,0 +1,42 @@
+// Convert legacy User.photos URL strings into photo records.
+// Usage: node scripts/migrate-photo-records.js
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../models/User');
+
+const migrate = async () => {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/cursor-dating');
+
+    // Legacy photos would not cast to the new schema, so read the raw collection
+    const cursor = User.collection.find(
+        { photos: { $type: 'string' } },
+        { projection: { photos: 1 } }
+    );
+
+    let migrated = 0;
+    for await (const user of cursor) {
+        const photos = user.photos.map((photo, index) => (typeof photo === 'string'
+            ? {
+                _id: new mongoose.Types.ObjectId(),
+                url: photo,
+                thumbnailUrl: photo,
+                order: index,
+                status: 'approved',
+                uploadedAt: new Date()
+            }
+            : { ...photo, order: index }));
+
+        await User.collection.updateOne({ _id: user._id }, { $set: { photos } });
+        migrated++;
+    }
+
+    console.log(`✅ Migrated photos for ${migrated} users`);
+};
+
+migrate()
+    .catch((err) => {
+        console.error('❌ Migration failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.connection.close());
@@ -0,0 +1,71 @@
+// Move the legacy User.likes/likedBy arrays into the Swipe collection and drop
+// the User.matches array, which the Match collection already covers.
+// Usage: node scripts/migrate-swipes.js
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../models/User');
+const Swipe = require('../models/Swipe');
+
+// Existing swipes (e.g. passes recorded since) win over the legacy arrays
+const likeUpsert = (actor, target) => ({
+    updateOne: {
+        filter: { actor, target },
+        update: {
+            $setOnInsert: {
+                actor,
+                target,
+                type: 'like',
+                createdAt: new Date(),
+                updatedAt: new Date()
+            }
+        },
+        upsert: true
+    }
+});
+
+const migrate = async () => {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/cursor-dating');
+    await Swipe.syncIndexes();
+
+    // The arrays are no longer in the schema, so read the raw collection
+    const cursor = User.collection.find(
+        {
+            $or: [
+                { likes: { $exists: true } },
+                { likedBy: { $exists: true } },
+                { matches: { $exists: true } }
+            ]
+        },
+        { projection: { likes: 1, likedBy: 1 } }
+    );
+
+    let users = 0;
+    let likes = 0;
+    for await (const user of cursor) {
+        const operations = [
+            ...(user.likes || []).map(target => likeUpsert(user._id, target)),
+            ...(user.likedBy || []).map(actor => likeUpsert(actor, user._id))
+        ].filter(operation => !operation.updateOne.filter.actor.equals(operation.updateOne.filter.target));
+
+        if (operations.length) {
+            const result = await Swipe.bulkWrite(operations, { ordered: false });
+            likes += result.upsertedCount;
+        }
+
+        await User.collection.updateOne(
+            { _id: user._id },
+            { $unset: { likes: 1, likedBy: 1, matches: 1 } }
+        );
+        users++;
+    }
+
+    console.log(`✅ Migrated ${likes} likes from ${users} users`);
+};
+
+migrate()
+    .catch((err) => {
+        console.error('❌ Migration failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.connection.close());
@@ -0,0 +1,42 @@
+// Move the files of pending and rejected photos out of public storage.
+// Photos uploaded before review kept their files private were public at once.
+// Usage: node scripts/privatize-unapproved-photos.js
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../models/User');
+const { movePhotoFiles, savePhotoFiles } = require('../services/photos');
+
+const privatize = async () => {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/cursor-dating');
+
+    const cursor = User.find({
+        photos: { $elemMatch: { status: { $ne: 'approved' }, key: /^public\// } }
+    }).select('photos').cursor();
+
+    let moved = 0;
+    let failed = 0;
+    for await (const user of cursor) {
+        const photos = user.photos.filter(photo => photo.status !== 'approved' && photo.key && photo.key.startsWith('public/'));
+
+        for (const photo of photos) {
+            try {
+                const fields = await movePhotoFiles(photo, false);
+                await savePhotoFiles(photo._id, photo.status, fields);
+                moved++;
+            } catch (error) {
+                console.error(`Could not move photo ${photo._id}:`, error.message);
+                failed++;
+            }
+        }
+    }
+
+    console.log(`✅ Made ${moved} photos private, ${failed} failed`);
+};
+
+privatize()
+    .catch((err) => {
+        console.error('❌ Privatizing photos failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.connection.close());
@@ -0,0 +1,56 @@
+// Snap stored user locations and coordinate trips to the privacy grid, so
+// positions saved before it existed are no more precise than new ones.
+// Usage: node scripts/round-user-locations.js
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../models/User');
+const { roundCoordinates } = require('../utils/geo');
+
+const sameCoordinates = (a, b) => a[0] === b[0] && a[1] === b[1];
+
+const roundLocations = async () => {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/cursor-dating');
+
+    const cursor = User.collection.find(
+        {
+            $or: [
+                { 'location.coordinates': { $exists: true } },
+                { 'travel.location.coordinates': { $exists: true } }
+            ]
+        },
+        { projection: { location: 1, travel: 1 } }
+    );
+
+    let updated = 0;
+    for await (const user of cursor) {
+        const update = {};
+
+        const home = user.location && user.location.coordinates;
+        if (home && home.length === 2) {
+            const rounded = roundCoordinates(home[0], home[1]);
+            if (!sameCoordinates(home, rounded)) update['location.coordinates'] = rounded;
+        }
+
+        // Trips to named cities keep the city centre
+        const trip = user.travel && !user.travel.city && user.travel.location && user.travel.location.coordinates;
+        if (trip && trip.length === 2) {
+            const rounded = roundCoordinates(trip[0], trip[1]);
+            if (!sameCoordinates(trip, rounded)) update['travel.location.coordinates'] = rounded;
+        }
+
+        if (Object.keys(update).length) {
+            await User.collection.updateOne({ _id: user._id }, { $set: update });
+            updated++;
+        }
+    }
+
+    console.log(`✅ Rounded locations for ${updated} users`);
+};
+
+roundLocations()
+    .catch((err) => {
+        console.error('❌ Rounding failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.connection.close());
@@ -1,3 +1,4 @@
+const http = require('http');
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
@@ -7,6 +8,9 @@ const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
 require('dotenv').config();
 
+const { processPremiumExpiries } = require('./services/premium');
+const { initSocket } = require('./socket');
+
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const discoveryRoutes = require('./routes/discovery');
@@ -16,8 +20,10 @@ const premiumRoutes = require('./routes/premium');
 const adminRoutes = require('./routes/admin');
 const reportRoutes = require('./routes/reports');
 const notificationRoutes = require('./routes/notifications');
+const mediaRoutes = require('./routes/media');
 
 const app = express();
+const server = http.createServer(app);
 const PORT = process.env.PORT || 5000;
 
 // Security middleware
@@ -28,21 +34,33 @@ app.use(compression());
 const limiter = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
     max: 100, // limit each IP to 100 requests per windowMs
-    message: 'Too many requests from this IP, please try again later.'
+    message: 'Too many requests from this IP, please try again later.',
+    // Payment providers deliver webhooks in bursts from a few IPs
+    skip: (req) => req.path.startsWith('/premium/webhooks/')
 });
 app.use('/api/', limiter);
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+// Keep the raw bytes as well: webhook signatures are computed over them
+app.use(express.json({
+    limit: '10mb',
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // CORS configuration
-app.use(cors({
+const corsOptions = {
     origin: process.env.NODE_ENV === 'production'
         ? ['https://your-frontend-domain.com']
         : ['http://localhost:3000', 'http://localhost:3001'],
     credentials: true
-}));
+};
+app.use(cors(corsOptions));
+
+// Real-time chat shares the HTTP server and CORS policy
+initSocket(server, { cors: corsOptions });
 
 // Logging middleware
 if (process.env.NODE_ENV === 'development') {
@@ -68,6 +86,7 @@ app.use('/api/premium', premiumRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/reports', reportRoutes);
 app.use('/api/notifications', notificationRoutes);
+app.use('/api/media', mediaRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -94,10 +113,17 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/cursor-da
 })
     .then(() => {
         console.log('✅ Connected to MongoDB');
-        app.listen(PORT, () => {
+        server.listen(PORT, () => {
             console.log(`🚀 Server running on port ${PORT}`);
             console.log(`📱 Environment: ${process.env.NODE_ENV || 'development'}`);
         });
+
+        // Premium expiry reminders, hourly
+        setInterval(() => {
+            processPremiumExpiries().catch(err => {
+                console.error('Premium expiry job error:', err);
+            });
+        }, 60 * 60 * 1000).unref();
     })
     .catch((err) => {
         console.error('❌ MongoDB connection error:', err);
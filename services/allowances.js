@@ -0,0 +1,100 @@
+const User = require('../models/User');
+const { nextLocalMidnight } = require('../utils/timezone');
+
+// A new window never ends sooner than this after the previous one, so moving
+// to a time zone where midnight comes earlier cannot start a new day early.
+// Less than a day leaves room for daylight saving changes.
+const MIN_WINDOW_HOURS = 23;
+
+// A per-day allowance counted on the user as `<field>: { startedAt, resetsAt, used }`.
+// A window starts with the first use and ends at the user's next local
+// midnight. The end is stored as an instant, so changing time zone does not
+// reset the count. `limits` has free and premium counts; null means unlimited.
+// Counting on the user document keeps concurrent requests from overspending.
+const createDailyAllowance = (field, limits) => {
+    const getLimit = (user) => (user.isPremiumActive() ? limits.premium : limits.free);
+
+    // The window in effect, or null once it has ended
+    const currentWindow = (user, now) => (
+        user[field] && user[field].resetsAt > now ? user[field] : null
+    );
+
+    // When a window started now would end
+    const nextResetAt = (user, now) => {
+        const midnight = nextLocalMidnight(user.timezone, now);
+        const previous = user[field] && user[field].resetsAt;
+        if (!previous) return midnight;
+
+        const earliest = new Date(previous.getTime() + MIN_WINDOW_HOURS * 60 * 60 * 1000);
+        return midnight > earliest ? midnight : earliest;
+    };
+
+    const getAllowance = (user, now = new Date()) => {
+        const limit = getLimit(user);
+        const window = currentWindow(user, now);
+        const used = window ? window.used : 0;
+
+        return {
+            limit,
+            used,
+            remaining: limit === null ? null : Math.max(limit - used, 0),
+            resetsAt: window ? window.resetsAt : nextResetAt(user, now)
+        };
+    };
+
+    // Take one from the current window; returns false when none are left
+    const consume = async (user, now = new Date()) => {
+        const limit = getLimit(user);
+
+        const useCurrent = () => User.findOneAndUpdate(
+            {
+                _id: user._id,
+                [`${field}.resetsAt`]: { $gt: now },
+                ...(limit !== null && { [`${field}.used`]: { $lt: limit } })
+            },
+            { $inc: { [`${field}.used`]: 1 } }
+        ).select('_id');
+
+        if (await useCurrent()) return true;
+
+        // First use after the last window ended starts a new one
+        const started = await User.findOneAndUpdate(
+            { _id: user._id, [`${field}.resetsAt`]: { $not: { $gt: now } } },
+            {
+                $set: {
+                    [`${field}.startedAt`]: now,
+                    [`${field}.resetsAt`]: nextResetAt(user, now),
+                    [`${field}.used`]: 1
+                }
+            }
+        ).select('_id');
+        if (started) return true;
+
+        // Another request may have started the window in between
+        return !!(await useCurrent());
+    };
+
+    // Give back one that could not be used. With `usedAt`, only if it was
+    // taken from the current window.
+    const refund = (user, usedAt, now = new Date()) => User.updateOne(
+        {
+            _id: user._id,
+            [`${field}.resetsAt`]: { $gt: now },
+            [`${field}.used`]: { $gt: 0 },
+            ...(usedAt && { [`${field}.startedAt`]: { $lte: usedAt } })
+        },
+        { $inc: { [`${field}.used`]: -1 } }
+    );
+
+    return {
+        getLimit,
+        getAllowance,
+        consume,
+        refund
+    };
+};
+
+module.exports = {
+    MIN_WINDOW_HOURS,
+    createDailyAllowance
+};
@@ -0,0 +1,132 @@
+const Chat = require('../models/Chat');
+const Match = require('../models/Match');
+const createHttpError = require('../utils/httpError');
+const { notifyMessage } = require('./notifications');
+const { emitToMatch } = require('../socket/emitter');
+const { getMediaUrl } = require('./media');
+const { withApprovedPhotos } = require('./photos');
+
+// Load an active match and make sure the user belongs to it
+const getMatchForUser = async (matchId, userId, forbiddenMessage = 'Not authorized to access this chat') => {
+    const match = await Match.findById(matchId);
+    if (!match || !match.isActive) {
+        throw createHttpError(404, 'Match not found');
+    }
+
+    if (!match.hasUser(userId)) {
+        throw createHttpError(403, forbiddenMessage);
+    }
+
+    return match;
+};
+
+// Send a message in a match; used by both the REST API and the socket server
+const sendMessage = async (matchId, sender, { message, messageType = 'text', attachment }) => {
+    const match = await getMatchForUser(matchId, sender._id, 'Not authorized to send message to this match');
+
+    const chatMessage = await Chat.create({
+        matchId,
+        sender: sender._id,
+        message,
+        messageType,
+        attachment
+    });
+
+    // Populate sender info
+    await chatMessage.populate('sender', 'name photos');
+
+    // Increment unread count for the other user
+    const otherUserId = match.getOtherUser(sender._id);
+    match.incrementUnread(otherUserId);
+    await match.save();
+
+    emitToMatch(match._id, 'message:created', {
+        message: await toMessageView(chatMessage)
+    });
+    await notifyMessage(otherUserId, match, sender, chatMessage);
+
+    return chatMessage;
+};
+
+// Add a short-lived signed URL to a message with an attachment.
+// Only call this for users who belong to the match.
+const withMediaUrl = async (message) => {
+    if (!message.attachment || !message.attachment.key) return message;
+
+    return {
+        ...message,
+        attachment: {
+            ...message.attachment,
+            url: await getMediaUrl(message.attachment.key)
+        }
+    };
+};
+
+// A message as sent to clients: the sender's approved photos only and a
+// signed URL for any attachment. Only call this for users in the match.
+const toMessageView = (message) => {
+    const plain = typeof message.toObject === 'function' ? message.toObject() : message;
+    return withMediaUrl({ ...plain, sender: withApprovedPhotos(plain.sender) });
+};
+
+// Mark the other user's messages as read and send a read receipt
+const markMessagesRead = async (match, userId) => {
+    const readAt = new Date();
+
+    const result = await Chat.updateMany(
+        {
+            matchId: match._id,
+            sender: { $ne: userId },
+            isRead: false,
+            isDeleted: false
+        },
+        { isRead: true, readAt }
+    );
+
+    // Reset unread count for this user
+    match.resetUnread(userId);
+    await match.save();
+
+    if (result.modifiedCount) {
+        emitToMatch(match._id, 'messages:read', {
+            matchId: match._id,
+            readerId: userId,
+            readAt
+        });
+    }
+
+    return result.modifiedCount;
+};
+
+// Soft delete one of the user's own messages
+const deleteMessage = async (matchId, messageId, userId) => {
+    await getMatchForUser(matchId, userId);
+
+    const message = await Chat.findById(messageId);
+    if (!message || message.matchId.toString() !== matchId.toString()) {
+        throw createHttpError(404, 'Message not found');
+    }
+
+    // Only sender can delete their own message
+    if (message.sender.toString() !== userId.toString()) {
+        throw createHttpError(403, 'Not authorized to delete this message');
+    }
+
+    await message.softDelete();
+
+    emitToMatch(matchId, 'message:deleted', {
+        matchId,
+        messageId: message._id
+    });
+
+    return message;
+};
+
+module.exports = {
+    getMatchForUser,
+    withMediaUrl,
+    toMessageView,
+    sendMessage,
+    markMessagesRead,
+    deleteMessage
+};
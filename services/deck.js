@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+const DeckSession = require('../models/DeckSession');
+const User = require('../models/User');
+const createHttpError = require('../utils/httpError');
+const { findCandidates } = require('./discovery');
+const { recordExposure } = require('./ranking');
+
+// A session expires after this long without a batch
+const DECK_SESSION_IDLE_MINUTES = 60;
+
+// Cards one session can serve before the client has to start a new one
+const MAX_SESSION_CARDS = 1000;
+
+const idleExpiry = () => new Date(Date.now() + DECK_SESSION_IDLE_MINUTES * 60 * 1000);
+
+// Cursors are opaque to clients; they carry the session id and batch number
+const encodeCursor = (session) => Buffer
+    .from(`${session._id}:${session.batches}`)
+    .toString('base64url');
+
+const decodeCursor = (cursor) => {
+    const [sessionId, batches] = Buffer.from(String(cursor), 'base64url').toString().split(':');
+    if (!mongoose.isValidObjectId(sessionId) || !/^\d+$/.test(batches || '')) {
+        throw createHttpError(400, 'Invalid cursor');
+    }
+    return { sessionId, batches: parseInt(batches) };
+};
+
+// Serve the next batch of a deck session. Without a cursor a new session is
+// started. Returns { users, cursor, hasMore }.
+const getDeckBatch = async (viewer, { cursor, limit = 20, maxDistance, excludeIds = [] } = {}) => {
+    let session;
+    if (cursor) {
+        const { sessionId, batches } = decodeCursor(cursor);
+        session = await DeckSession.findOne({
+            _id: sessionId,
+            user: viewer._id,
+            expiresAt: { $gt: new Date() }
+        });
+
+        if (!session) {
+            throw createHttpError(410, 'Deck session expired, start a new one', { code: 'DECK_SESSION_EXPIRED' });
+        }
+        if (session.batches !== batches) {
+            throw createHttpError(409, 'This cursor was already used', { code: 'DECK_CURSOR_USED' });
+        }
+    } else {
+        session = await DeckSession.create({
+            user: viewer._id,
+            maxDistance,
+            expiresAt: idleExpiry()
+        });
+    }
+
+    const remaining = MAX_SESSION_CARDS - session.served.length;
+    const batchSize = Math.min(limit, remaining);
+
+    // A rewound profile may come back even though this session served it
+    const rewound = viewer.rewoundUser ? viewer.rewoundUser.toString() : null;
+    const served = session.served.filter(id => id.toString() !== rewound);
+
+    const users = batchSize > 0
+        ? await findCandidates(viewer, {
+            limit: batchSize,
+            maxDistance: session.maxDistance,
+            excludeIds: [...excludeIds, ...served]
+        })
+        : [];
+
+    // Only one request can advance the session from this batch
+    const updated = await DeckSession.findOneAndUpdate(
+        { _id: session._id, batches: session.batches },
+        {
+            $push: { served: { $each: users.map(user => user._id) } },
+            $inc: { batches: 1 },
+            $set: { expiresAt: idleExpiry() }
+        },
+        { new: true }
+    );
+    if (!updated) {
+        throw createHttpError(409, 'This cursor was already used', { code: 'DECK_CURSOR_USED' });
+    }
+
+    // Only cards actually handed out count towards the exposure cap
+    recordExposure(users.map(user => user._id));
+
+    // The rewound profile is back in front of the user; stop pinning it
+    if (rewound && users.some(user => user._id.toString() === rewound)) {
+        await User.updateOne(
+            { _id: viewer._id, rewoundUser: viewer.rewoundUser },
+            { $unset: { rewoundUser: 1 } }
+        );
+    }
+
+    const hasMore = users.length === batchSize && updated.served.length < MAX_SESSION_CARDS;
+
+    return {
+        users,
+        cursor: hasMore ? encodeCursor(updated) : null,
+        hasMore
+    };
+};
+
+module.exports = {
+    DECK_SESSION_IDLE_MINUTES,
+    MAX_SESSION_CARDS,
+    getDeckBatch
+};
@@ -0,0 +1,42 @@
+const Device = require('../models/Device');
+
+// Register a device for a user. A token is owned by one user at a time, so a
+// phone that switches accounts stops receiving the previous user's pushes.
+const registerDevice = (userId, { token, platform, appVersion, locale }) => {
+    const update = {
+        user: userId,
+        lastSeenAt: new Date()
+    };
+    if (platform) update.platform = platform;
+    if (appVersion) update.appVersion = appVersion;
+    if (locale) update.locale = locale;
+
+    return Device.findOneAndUpdate(
+        { token },
+        { $set: update },
+        { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+};
+
+// Remove one of the user's devices; returns true if it existed
+const unregisterDevice = async (userId, token) => {
+    const result = await Device.deleteOne({ user: userId, token });
+    return result.deletedCount > 0;
+};
+
+const getDeviceTokens = async (userId) => {
+    const devices = await Device.find({ user: userId }).select('token').lean();
+    return devices.map(device => device.token);
+};
+
+const removeDeviceTokens = (userId, tokens) => Device.deleteMany({
+    user: userId,
+    token: { $in: tokens }
+});
+
+module.exports = {
+    registerDevice,
+    unregisterDevice,
+    getDeviceTokens,
+    removeDeviceTokens
+};
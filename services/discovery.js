@@ -0,0 +1,220 @@
+const User = require('../models/User');
+const { approvedPhotos, getPrimaryPhoto } = require('./photos');
+const { findSwipedIds, findSuperLikerIds } = require('./swipes');
+const { rankCandidates } = require('./ranking');
+const { getDiscoveryLocation } = require('./travel');
+const { bucketDistance } = require('../utils/geo');
+
+const GENDERS = ['male', 'female', 'non-binary', 'other'];
+const MAX_DISTANCE_KM = 500;
+
+// Used for users who never saved preferences. An empty gender list means everyone.
+const DEFAULT_PREFERENCES = {
+    genders: [],
+    minAge: 18,
+    maxAge: 100,
+    maxDistance: 50,
+    verifiedOnly: false
+};
+
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+
+const getAge = (dob) => Math.floor((Date.now() - new Date(dob)) / YEAR_MS);
+
+const getDiscoveryPreferences = (user) => {
+    const saved = user.discoveryPreferences && typeof user.discoveryPreferences.toObject === 'function'
+        ? user.discoveryPreferences.toObject()
+        : user.discoveryPreferences;
+    return { ...DEFAULT_PREFERENCES, ...saved };
+};
+
+// Born on or before this date means at least `age` years old
+const bornBefore = (age) => new Date(Date.now() - age * YEAR_MS);
+
+// Conditions from the viewer's own preferences
+const viewerFilters = (prefs) => {
+    const filters = {
+        dob: {
+            $lte: bornBefore(prefs.minAge),
+            $gt: bornBefore(prefs.maxAge + 1)
+        }
+    };
+    if (prefs.genders.length) filters.gender = { $in: prefs.genders };
+    if (prefs.verifiedOnly) filters.isVerified = true;
+    return filters;
+};
+
+// Conditions from each candidate's preferences, so the viewer must fit them too.
+// Missing preferences fall back to the defaults.
+const candidateFilters = (viewer) => {
+    const viewerAge = getAge(viewer.dob);
+    const filters = [
+        {
+            $or: [
+                { 'discoveryPreferences.genders': { $exists: false } },
+                { 'discoveryPreferences.genders': { $size: 0 } },
+                { 'discoveryPreferences.genders': viewer.gender }
+            ]
+        },
+        { 'discoveryPreferences.minAge': { $not: { $gt: viewerAge } } },
+        { 'discoveryPreferences.maxAge': { $not: { $lt: viewerAge } } }
+    ];
+    if (!viewer.isVerified) {
+        filters.push({ 'discoveryPreferences.verifiedOnly': { $ne: true } });
+    }
+    return filters;
+};
+
+// Candidates scored per request. Each location is searched nearest first and
+// cut off here before anything else runs, so distance alone decides who gets
+// into the pool: someone just outside it cannot be ranked in, however
+// recently active. The rewound profile and super likers are fetched on top.
+// Raise it where the pool is often full.
+const RANKING_POOL_SIZE = parseInt(process.env.DISCOVERY_RANKING_POOL_SIZE) || 300;
+
+// Fields ranking and the card need
+const CANDIDATE_FIELDS = {
+    name: 1,
+    photos: 1,
+    primaryPhoto: 1,
+    bio: 1,
+    interests: 1,
+    dob: 1,
+    isVerified: 1,
+    lastActive: 1,
+    exposure: 1,
+    visiting: 1,
+    distance: 1
+};
+
+// Shape a candidate for the client; only approved photos are shown.
+// Travellers are labelled with the city they are visiting.
+const toCard = (doc) => {
+    const photos = approvedPhotos(doc.photos);
+
+    return {
+        _id: doc._id,
+        name: doc.name,
+        age: getAge(doc.dob),
+        bio: doc.bio,
+        interests: doc.interests,
+        isVerified: doc.isVerified,
+        superLikedYou: doc.superLikedYou,
+        visiting: doc.visiting ? { city: doc.visiting.city || null } : null,
+        photos,
+        primaryPhoto: getPrimaryPhoto({ ...doc, photos }),
+        // Coordinates are never sent; a traveller's distance would also be misleading
+        distance: doc.visiting ? null : bucketDistance(doc.distance)
+    };
+};
+
+// Find discovery candidates for a user, applying both sides' preferences.
+// The nearest eligible profiles form a pool that is ranked by services/ranking.
+// `maxDistance` (km) can narrow the saved distance for one request.
+// A travelling viewer searches from their trip destination.
+const findCandidates = async (viewer, { limit = 20, maxDistance, excludeIds = [] } = {}) => {
+    const prefs = getDiscoveryPreferences(viewer);
+    const distanceKm = Math.min(maxDistance || prefs.maxDistance, MAX_DISTANCE_KM);
+
+    const near = getDiscoveryLocation(viewer);
+    const now = new Date();
+
+    const [swipedIds, superLikerIds] = await Promise.all([
+        findSwipedIds(viewer._id),
+        findSuperLikerIds(viewer._id)
+    ]);
+    const hiddenIds = [viewer._id, ...excludeIds, ...swipedIds];
+
+    const query = {
+        isActive: true,
+        isBlocked: false,
+        // Missing or already-ended suspensions both pass
+        suspendedUntil: { $not: { $gt: now } },
+        profileCompleted: true,
+        // Profiles need at least one reviewed photo to be shown
+        'photos.status': 'approved',
+        ...viewerFilters(prefs),
+        $and: candidateFilters(viewer)
+    };
+
+    // One location searched nearest first. $geoNear streams in distance
+    // order, so the limit stops the search once the pool is full.
+    // Travellers are found at their trip destination instead of their home.
+    const search = (key, travelling, ids) => [
+        {
+            $geoNear: {
+                near,
+                key,
+                distanceField: 'distance',
+                maxDistance: distanceKm * 1000, // Convert km to meters
+                spherical: true,
+                query: {
+                    ...query,
+                    _id: ids,
+                    'travel.expiresAt': travelling ? { $gt: now } : { $not: { $gt: now } }
+                }
+            }
+        },
+        // The candidate's own distance limit
+        {
+            $match: {
+                $expr: {
+                    $lte: [
+                        '$distance',
+                        { $multiply: [{ $ifNull: ['$discoveryPreferences.maxDistance', DEFAULT_PREFERENCES.maxDistance] }, 1000] }
+                    ]
+                }
+            }
+        },
+        { $limit: RANKING_POOL_SIZE },
+        ...(travelling ? [{ $set: { visiting: { city: '$travel.city' } } }] : []),
+        { $project: CANDIDATE_FIELDS }
+    ];
+
+    // The rewound profile and super likers are always in the pool
+    const pinnedIds = [...(viewer.rewoundUser ? [viewer.rewoundUser] : []), ...superLikerIds];
+    const searches = [
+        search('location', false, { $nin: hiddenIds }),
+        search('travel.location', true, { $nin: hiddenIds }),
+        ...(pinnedIds.length ? [
+            search('location', false, { $in: pinnedIds, $nin: hiddenIds }),
+            search('travel.location', true, { $in: pinnedIds, $nin: hiddenIds })
+        ] : [])
+    ];
+
+    const [first, ...rest] = searches;
+    const found = await User.aggregate([
+        ...first,
+        ...rest.map(pipeline => ({ $unionWith: { coll: User.collection.name, pipeline } }))
+    ]);
+
+    const rewound = viewer.rewoundUser ? viewer.rewoundUser.toString() : null;
+    const superLikers = new Set(superLikerIds.map(id => id.toString()));
+    const byId = new Map(found.map(candidate => [candidate._id.toString(), candidate]));
+
+    const pool = [...byId.values()]
+        .map(candidate => ({
+            ...candidate,
+            isRewound: candidate._id.toString() === rewound,
+            superLikedYou: superLikers.has(candidate._id.toString())
+        }))
+        .sort((a, b) => (
+            b.isRewound - a.isRewound ||
+            b.superLikedYou - a.superLikedYou ||
+            a.distance - b.distance
+        ))
+        .slice(0, RANKING_POOL_SIZE);
+
+    return rankCandidates(pool, viewer, { maxDistance: distanceKm * 1000 })
+        .slice(0, limit)
+        .map(toCard);
+};
+
+module.exports = {
+    GENDERS,
+    MAX_DISTANCE_KM,
+    DEFAULT_PREFERENCES,
+    getAge,
+    getDiscoveryPreferences,
+    findCandidates
+};
@@ -0,0 +1,227 @@
+const User = require('../models/User');
+const Swipe = require('../models/Swipe');
+const createHttpError = require('../utils/httpError');
+const { LIKE_TYPES, recordLike, findLike, hasLiked } = require('./swipes');
+const { sortPhotos, approvedPhotos, getPrimaryPhoto } = require('./photos');
+const { getAge } = require('./discovery');
+const { describeVisiting } = require('./travel');
+const { createMatch, findLatestMatch } = require('./matches');
+const { consumeSuperLike, refundSuperLike } = require('./superLikes');
+const { notifyMatch, notifyLike, notifySuperLike } = require('./notifications');
+const { joinMatchRoom } = require('../socket/emitter');
+
+// Create the match for a mutual like. Both sides may get here at once; only
+// the creator notifies.
+const completeMatch = async (currentUser, targetUser) => {
+    const { match, created } = await createMatch(currentUser._id, targetUser._id);
+
+    if (created) {
+        joinMatchRoom(match);
+        await notifyMatch(targetUser._id, match, currentUser);
+    }
+
+    return { isMatch: true, match, targetUser };
+};
+
+// Whether two users like each other but no match was made since, e.g. because
+// createMatch failed after the like was stored. A match created after both
+// likes counts even if it has ended, so unmatched pairs are not matched again.
+const isMatchMissing = async (userId, targetUserId) => {
+    const [like, likeBack, latestMatch] = await Promise.all([
+        findLike(userId, targetUserId),
+        findLike(targetUserId, userId),
+        findLatestMatch(userId, targetUserId)
+    ]);
+
+    if (!like || !likeBack) return false;
+    if (!latestMatch) return true;
+
+    return latestMatch.createdAt < Math.max(like.updatedAt, likeBack.updatedAt);
+};
+
+// Like or super like a user, creating the match if the like is mutual.
+// Returns { isMatch, match, targetUser }.
+const likeUser = async (currentUser, targetUserId, { type = 'like' } = {}) => {
+    if (targetUserId.toString() === currentUser._id.toString()) {
+        throw createHttpError(400, 'Cannot like yourself');
+    }
+
+    const targetUser = await User.findById(targetUserId);
+    if (!targetUser) {
+        throw createHttpError(404, 'User not found');
+    }
+
+    if (!targetUser.isActive || targetUser.isBlocked || targetUser.isSuspended()) {
+        throw createHttpError(400, 'User is not available');
+    }
+
+    const isSuperLike = type === 'superlike';
+    if (isSuperLike && !(await consumeSuperLike(currentUser))) {
+        throw createHttpError(429, 'No super likes left today', { code: 'SUPER_LIKE_LIMIT' });
+    }
+
+    const swipe = await recordLike(currentUser._id, targetUser._id, type);
+    if (!swipe) {
+        if (isSuperLike) await refundSuperLike(currentUser);
+
+        // Liking again finishes a match that failed to be created
+        if (await isMatchMissing(currentUser._id, targetUser._id)) {
+            return completeMatch(currentUser, targetUser);
+        }
+
+        throw createHttpError(400, 'Already liked this user');
+    }
+
+    // Check if it's a mutual like (match). Our like is stored before the
+    // check, so of two simultaneous mutual likes at least one sees the other.
+    if (await hasLiked(targetUser._id, currentUser._id)) {
+        return completeMatch(currentUser, targetUser);
+    }
+
+    if (isSuperLike) {
+        await notifySuperLike(targetUser._id, currentUser);
+    } else {
+        await notifyLike(targetUser._id);
+    }
+
+    return { isMatch: false, match: null, targetUser };
+};
+
+// The admirer's primary photo if it has a blurred copy, else the first that does
+const getTeaserPhoto = (admirer) => {
+    const candidates = sortPhotos(admirer.photos)
+        .filter(photo => photo.status === 'approved' && photo.blurredUrl);
+
+    return candidates.find(photo => admirer.primaryPhoto && photo._id.equals(admirer.primaryPhoto)) ||
+        candidates[0] ||
+        null;
+};
+
+// Another user's public card: approved photos and profile details only, no
+// presence, premium or account fields. Works on documents and lean objects.
+const toProfileCard = (user) => {
+    const plain = typeof user.toObject === 'function' ? user.toObject() : user;
+    const photos = approvedPhotos(plain.photos);
+
+    return {
+        _id: plain._id,
+        name: plain.name,
+        age: getAge(plain.dob),
+        bio: plain.bio,
+        interests: plain.interests,
+        isVerified: plain.isVerified,
+        photos,
+        primaryPhoto: getPrimaryPhoto({ ...plain, photos }),
+        visiting: describeVisiting(plain)
+    };
+};
+
+// Card for someone who liked the viewer. Free users get a blurred teaser
+// that does not identify the admirer.
+const toAdmirerCard = (like, canSeeProfiles) => {
+    const { admirer } = like;
+    const superLiked = like.type === 'superlike';
+
+    if (!canSeeProfiles) {
+        const teaser = getTeaserPhoto(admirer);
+        return {
+            blurredPhotoUrl: teaser ? teaser.blurredUrl : null,
+            superLiked
+        };
+    }
+
+    return {
+        ...toProfileCard(admirer),
+        superLiked,
+        likedAt: like.createdAt
+    };
+};
+
+// People who liked the user and are still waiting: not matched, not passed
+// and not blocked either way. Super likes first, then the most recent.
+const getLikesReceived = async (user, { skip = 0, limit = 20, canSeeProfiles = false } = {}) => {
+    const hidden = [...user.blocked, ...user.blockedBy];
+
+    const [result] = await Swipe.aggregate([
+        {
+            $match: {
+                target: user._id,
+                type: { $in: LIKE_TYPES },
+                actor: { $nin: hidden }
+            }
+        },
+        // Any live swipe back means they were matched or passed
+        {
+            $lookup: {
+                from: Swipe.collection.name,
+                let: { admirerId: '$actor' },
+                pipeline: [
+                    {
+                        $match: {
+                            actor: user._id,
+                            $expr: { $eq: ['$target', '$$admirerId'] },
+                            expiresAt: { $not: { $lte: new Date() } }
+                        }
+                    },
+                    { $limit: 1 },
+                    { $project: { _id: 1 } }
+                ],
+                as: 'swipeBack'
+            }
+        },
+        { $match: { swipeBack: { $size: 0 } } },
+        {
+            $lookup: {
+                from: User.collection.name,
+                let: { admirerId: '$actor' },
+                pipeline: [
+                    {
+                        $match: {
+                            $expr: { $eq: ['$_id', '$$admirerId'] },
+                            isActive: true,
+                            isBlocked: false,
+                            suspendedUntil: { $not: { $gt: new Date() } },
+                            blocked: { $ne: user._id }
+                        }
+                    },
+                    {
+                        $project: {
+                            name: 1,
+                            dob: 1,
+                            bio: 1,
+                            interests: 1,
+                            isVerified: 1,
+                            photos: 1,
+                            primaryPhoto: 1,
+                            travel: 1
+                        }
+                    }
+                ],
+                as: 'admirer'
+            }
+        },
+        { $unwind: '$admirer' },
+        { $set: { isSuperLike: { $eq: ['$type', 'superlike'] } } },
+        {
+            $facet: {
+                likes: [
+                    { $sort: { isSuperLike: -1, createdAt: -1 } },
+                    { $skip: skip },
+                    { $limit: limit }
+                ],
+                total: [{ $count: 'count' }]
+            }
+        }
+    ]);
+
+    return {
+        likes: result.likes.map(like => toAdmirerCard(like, canSeeProfiles)),
+        total: result.total.length ? result.total[0].count : 0
+    };
+};
+
+module.exports = {
+    toProfileCard,
+    likeUser,
+    getLikesReceived
+};
@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+const Match = require('../models/Match');
+const User = require('../models/User');
+
+// Get or create the active match between two users. Safe to call from both
+// sides at once: the upsert and the unique pair key allow only one match, and
+// `created` is true for exactly one caller.
+const createMatch = async (userId, otherUserId) => {
+    if (userId.toString() === otherUserId.toString()) {
+        throw new Error('Cannot match user with themselves');
+    }
+
+    const pairKey = Match.pairKey(userId, otherUserId);
+
+    try {
+        const result = await Match.findOneAndUpdate(
+            { pairKey, isActive: true },
+            {
+                $setOnInsert: {
+                    users: [userId, otherUserId],
+                    lastMessageAt: new Date()
+                }
+            },
+            { new: true, upsert: true, setDefaultsOnInsert: true, includeResultMetadata: true }
+        );
+
+        return {
+            match: result.value,
+            created: !result.lastErrorObject.updatedExisting
+        };
+    } catch (error) {
+        // Two upserts raced to insert; the other one won
+        if (error.code !== 11000) throw error;
+
+        const match = await Match.findOne({ pairKey, isActive: true });
+        return { match, created: false };
+    }
+};
+
+// The most recently created match between two users, active or ended
+const findLatestMatch = (userId, otherUserId) => Match.findOne({
+    pairKey: Match.pairKey(userId, otherUserId)
+}).sort({ createdAt: -1 });
+
+const hasActiveMatch = (userId, otherUserId) => Match.exists({
+    pairKey: Match.pairKey(userId, otherUserId),
+    isActive: true
+});
+
+const findActiveMatches = (userId) => Match.find({ users: userId, isActive: true });
+
+// Active matches joined with the other user, leaving out users who are
+// deactivated, banned or blocked either way. Filtering happens before any
+// paging so pages and totals agree.
+const toProjection = (select = '') => Object.fromEntries(
+    ['_id', ...select.split(/\s+/).filter(Boolean)].map(field => [field, 1])
+);
+
+const matchedUsersStages = (userId, projection) => {
+    const id = new mongoose.Types.ObjectId(userId);
+
+    return [
+        { $match: { users: id, isActive: true } },
+        {
+            $lookup: {
+                from: User.collection.name,
+                let: { userIds: '$users' },
+                pipeline: [
+                    {
+                        $match: {
+                            $expr: {
+                                $and: [
+                                    { $in: ['$_id', '$$userIds'] },
+                                    { $ne: ['$_id', id] }
+                                ]
+                            },
+                            isActive: true,
+                            isBlocked: false,
+                            blocked: { $ne: id },
+                            blockedBy: { $ne: id }
+                        }
+                    },
+                    { $project: projection }
+                ],
+                as: 'otherUser'
+            }
+        },
+        { $unwind: '$otherUser' }
+    ];
+};
+
+// The other users of a user's active matches, most recent conversation first.
+// Returns [{ match, user }] as documents.
+const getMatchedUsers = async (userId, select, { skip = 0, limit } = {}) => {
+    const projection = toProjection(select);
+    const results = await Match.aggregate([
+        ...matchedUsersStages(userId, projection),
+        { $sort: { lastMessageAt: -1, _id: -1 } },
+        { $skip: skip },
+        ...(limit ? [{ $limit: limit }] : [])
+    ]);
+
+    return results.map(({ otherUser, ...match }) => ({
+        match: Match.hydrate(match),
+        // The projection keeps defaults from filling in fields that were not selected
+        user: User.hydrate(otherUser, projection)
+    }));
+};
+
+// Counts the same matches getMatchedUsers lists
+const countMatchedUsers = async (userId) => {
+    const [result] = await Match.aggregate([
+        ...matchedUsersStages(userId, { _id: 1 }),
+        { $count: 'count' }
+    ]);
+    return result ? result.count : 0;
+};
+
+// End every active match between two users; returns the matches that ended
+const endMatchesBetween = async (userId, otherUserId) => {
+    const matches = await Match.find({
+        users: { $all: [userId, otherUserId] },
+        isActive: true
+    });
+
+    await Match.updateMany(
+        { _id: { $in: matches.map(match => match._id) } },
+        { isActive: false }
+    );
+
+    return matches;
+};
+
+module.exports = {
+    createMatch,
+    findLatestMatch,
+    hasActiveMatch,
+    findActiveMatches,
+    getMatchedUsers,
+    countMatchedUsers,
+    endMatchesBetween
+};
@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const createHttpError = require('../utils/httpError');
+const { getStorage } = require('./storage');
+
+const IMAGE_FORMATS = {
+    jpeg: { contentType: 'image/jpeg', ext: 'jpg' },
+    png: { contentType: 'image/png', ext: 'png' },
+    webp: { contentType: 'image/webp', ext: 'webp' },
+    gif: { contentType: 'image/gif', ext: 'gif' }
+};
+
+const CHAT_MEDIA_MAX_BYTES = 10 * 1024 * 1024;
+const CHAT_MEDIA_TYPES = Object.values(IMAGE_FORMATS).map(format => format.contentType);
+
+// How long a signed media URL stays valid, in seconds
+const MEDIA_URL_TTL_SECONDS = 15 * 60;
+
+// Read the real format and size from the bytes; the client's MIME type is only a hint
+const inspectImage = async (buffer, allowedFormats = Object.keys(IMAGE_FORMATS)) => {
+    let metadata;
+    try {
+        metadata = await sharp(buffer).metadata();
+    } catch (error) {
+        throw createHttpError(400, 'File is not a valid image');
+    }
+
+    if (!allowedFormats.includes(metadata.format)) {
+        throw createHttpError(400, 'Unsupported image format');
+    }
+
+    return {
+        format: metadata.format,
+        contentType: IMAGE_FORMATS[metadata.format].contentType,
+        ext: IMAGE_FORMATS[metadata.format].ext,
+        width: metadata.width,
+        height: metadata.height,
+        size: buffer.length
+    };
+};
+
+// Store an uploaded chat image and return the attachment to save on the message
+const storeChatMedia = async (matchId, file) => {
+    const image = await inspectImage(file.buffer);
+    const key = `chat/${matchId}/${crypto.randomBytes(16).toString('hex')}.${image.ext}`;
+
+    await getStorage().put(key, file.buffer, { contentType: image.contentType });
+
+    return {
+        key,
+        contentType: image.contentType,
+        size: image.size,
+        width: image.width,
+        height: image.height
+    };
+};
+
+const getMediaUrl = (key) => getStorage().getSignedUrl(key, {
+    expiresIn: MEDIA_URL_TTL_SECONDS
+});
+
+module.exports = {
+    CHAT_MEDIA_MAX_BYTES,
+    CHAT_MEDIA_TYPES,
+    MEDIA_URL_TTL_SECONDS,
+    inspectImage,
+    storeChatMedia,
+    getMediaUrl
+};
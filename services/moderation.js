@@ -0,0 +1,119 @@
+const User = require('../models/User');
+const Match = require('../models/Match');
+const Swipe = require('../models/Swipe');
+const { LIKE_TYPES } = require('./swipes');
+
+// A user may only report someone they have actually come across:
+// a match (even an ended one), a swipe on them, a like from them, or a block
+const hasEncountered = async (userId, otherUserId) => {
+    const [user, match, swipe] = await Promise.all([
+        User.findById(userId).select('blocked'),
+        Match.exists({ users: { $all: [userId, otherUserId] } }),
+        Swipe.exists({
+            $or: [
+                { actor: userId, target: otherUserId },
+                { actor: otherUserId, target: userId, type: { $in: LIKE_TYPES } }
+            ]
+        })
+    ]);
+
+    if (match || swipe) return true;
+    if (!user) return false;
+
+    const other = otherUserId.toString();
+    return user.blocked.some(id => id.toString() === other);
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_SUSPENSION_DAYS = 7;
+
+// Suspend a user for a number of days. Overlapping suspensions keep the later end.
+const suspendUser = async (userId, { durationDays = DEFAULT_SUSPENSION_DAYS, reason, adminId, reportId } = {}) => {
+    const user = await User.findById(userId);
+    if (!user) {
+        throw new Error('User not found');
+    }
+
+    const now = new Date();
+    const endsAt = new Date(now.getTime() + durationDays * DAY_MS);
+
+    user.suspensions.push({
+        startsAt: now,
+        endsAt,
+        reason,
+        issuedBy: adminId,
+        report: reportId
+    });
+
+    if (!user.isSuspended() || user.suspendedUntil < endsAt) {
+        user.suspendedUntil = endsAt;
+    }
+
+    await user.save();
+    return user;
+};
+
+// Lift every active suspension before it ends
+const liftSuspension = async (userId, adminId) => {
+    const user = await User.findById(userId);
+    if (!user) {
+        throw new Error('User not found');
+    }
+
+    const now = new Date();
+    user.suspensions.forEach(suspension => {
+        if (!suspension.liftedAt && suspension.endsAt > now) {
+            suspension.liftedAt = now;
+            suspension.liftedBy = adminId;
+        }
+    });
+    user.suspendedUntil = undefined;
+
+    await user.save();
+    return user;
+};
+
+// Drop the suspension marker once it has run out
+const clearExpiredSuspension = async (user) => {
+    if (!user.suspendedUntil || user.isSuspended()) return;
+
+    await User.updateOne(
+        { _id: user._id, suspendedUntil: { $lte: new Date() } },
+        { $unset: { suspendedUntil: 1 } }
+    );
+    user.suspendedUntil = undefined;
+};
+
+// Apply the action of a resolved report to the reported user
+const applyReportAction = async (report, { durationDays } = {}) => {
+    if (report.action === 'permanent_ban') {
+        await User.findByIdAndUpdate(report.reportedUser, { isBlocked: true });
+    }
+
+    if (report.action === 'temporary_ban') {
+        await suspendUser(report.reportedUser, {
+            durationDays,
+            reason: report.reason,
+            adminId: report.resolvedBy,
+            reportId: report._id
+        });
+    }
+};
+
+// What the reporter is told about their report; never the exact sanction
+const getReporterOutcome = (report) => {
+    if (report.status === 'resolved') {
+        return report.action === 'no_action' ? 'no_action' : 'action_taken';
+    }
+    if (report.status === 'dismissed') return 'no_action';
+    return 'under_review';
+};
+
+module.exports = {
+    hasEncountered,
+    suspendUser,
+    liftSuspension,
+    clearExpiredSuspension,
+    applyReportAction,
+    getReporterOutcome
+};
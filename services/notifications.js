@@ -0,0 +1,178 @@
+const Notification = require('../models/Notification');
+const { sendPush } = require('./push');
+
+// Push a stored notification to the user's devices without holding up the caller
+const deliverPush = (notification) => {
+    if (!notification) return;
+
+    sendPush(notification.user, notification).catch(error => {
+        console.error('Push delivery error:', error);
+    });
+};
+
+// Create a notification. Failures are logged rather than thrown so that a
+// notification problem never fails the action that triggered it.
+const createNotification = async ({ user, type, title, body = '', data = {} }) => {
+    try {
+        const notification = await Notification.create({ user, type, title, body, data });
+        deliverPush(notification);
+        return notification;
+    } catch (error) {
+        console.error('Create notification error:', error);
+        return null;
+    }
+};
+
+// Fold repeated events into the recipient's unread entry instead of adding rows
+const upsertUnreadNotification = async (filter, { user, type, title, body = '', data = {} }) => {
+    // Set data key by key so the upsert does not clash with data.* filters
+    const $set = { title, body };
+    Object.keys(data).forEach(key => {
+        $set[`data.${key}`] = data[key];
+    });
+
+    const upsert = () => Notification.findOneAndUpdate(
+        { user, type, isRead: false, ...filter },
+        {
+            $set,
+            $inc: { count: 1 }
+        },
+        { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+
+    try {
+        let notification;
+        try {
+            notification = await upsert();
+        } catch (error) {
+            // Another upsert inserted the entry first; fold into it
+            if (error.code !== 11000) throw error;
+            notification = await upsert();
+        }
+        deliverPush(notification);
+        return notification;
+    } catch (error) {
+        console.error('Upsert notification error:', error);
+        return null;
+    }
+};
+
+const notifyMatch = (userId, match, otherUser) => createNotification({
+    user: userId,
+    type: 'new_match',
+    title: 'It\'s a match!',
+    body: `You and ${otherUser.name} liked each other`,
+    data: { matchId: match._id, userId: otherUser._id }
+});
+
+// Take back match notifications, e.g. when the match is rewound
+const removeMatchNotifications = (match) => Notification.deleteMany({
+    type: 'new_match',
+    'data.matchId': match._id
+});
+
+const describeMessage = (chatMessage) => {
+    if (chatMessage.messageType === 'image') return 'Sent you a photo';
+    if (chatMessage.messageType === 'gif') return 'Sent you a GIF';
+    return chatMessage.message.slice(0, 100);
+};
+
+const notifyMessage = (userId, match, sender, chatMessage) => upsertUnreadNotification(
+    { 'data.matchId': match._id },
+    {
+        user: userId,
+        type: 'new_message',
+        title: sender.name,
+        body: describeMessage(chatMessage),
+        data: { matchId: match._id, messageId: chatMessage._id }
+    }
+);
+
+// The liker is not named: seeing who liked you is a premium feature
+const notifyLike = (userId) => upsertUnreadNotification(
+    {},
+    {
+        user: userId,
+        type: 'like_received',
+        title: 'Someone liked you',
+        body: 'Keep swiping to find out who'
+    }
+);
+
+// Super likes are not anonymous; standing out is the point
+const notifySuperLike = (userId, liker) => createNotification({
+    user: userId,
+    type: 'super_like_received',
+    title: `${liker.name} super liked you!`,
+    body: 'They will be first in your discovery',
+    data: { userId: liker._id }
+});
+
+// Take back super like notifications, e.g. when the super like is rewound.
+// Resolves to the number removed.
+const removeSuperLikeNotifications = async (userId, likerId) => {
+    const { deletedCount } = await Notification.deleteMany({
+        user: userId,
+        type: 'super_like_received',
+        'data.userId': likerId
+    });
+    return deletedCount;
+};
+
+const notifyReportOutcome = (report, outcome) => createNotification({
+    user: report.reportedBy,
+    type: 'report_outcome',
+    title: 'Update on your report',
+    body: outcome === 'action_taken'
+        ? 'Thanks for your report. We have taken action on this account.'
+        : 'Thanks for your report. We reviewed it and found no violation.',
+    data: { reportId: report._id, outcome }
+});
+
+// One reminder per expiry date, even after the user has read it
+const notifyPremiumExpiring = async (user) => {
+    const alreadySent = await Notification.exists({
+        user: user._id,
+        type: 'premium_expiring',
+        'data.expiresAt': user.premiumExpiresAt
+    });
+    if (alreadySent) return null;
+
+    return createNotification({
+        user: user._id,
+        type: 'premium_expiring',
+        title: 'Your premium is ending soon',
+        body: 'Renew now to keep your premium features',
+        data: { expiresAt: user.premiumExpiresAt }
+    });
+};
+
+const notifyPremiumExpired = (user) => createNotification({
+    user: user._id,
+    type: 'premium_expired',
+    title: 'Your premium has ended',
+    body: 'Upgrade again any time to get your premium features back',
+    data: { expiredAt: user.premiumExpiresAt }
+});
+
+const notifyPhotoRejected = (userId, photo) => createNotification({
+    user: userId,
+    type: 'photo_rejected',
+    title: 'One of your photos was removed',
+    body: photo.rejectionReason || 'It does not meet our photo guidelines',
+    data: { photoId: photo._id, reason: photo.rejectionReason }
+});
+
+module.exports = {
+    createNotification,
+    notifyMatch,
+    removeMatchNotifications,
+    notifyMessage,
+    notifyLike,
+    notifySuperLike,
+    removeSuperLikeNotifications,
+    notifyReportOutcome,
+    notifyPremiumExpiring,
+    notifyPremiumExpired,
+    notifyPhotoRejected
+};
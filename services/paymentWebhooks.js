@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Payment = require('../models/Payment');
+const PaymentEvent = require('../models/PaymentEvent');
+const { PAYABLE_STATUSES, completePayment, rollbackPremium, revokePremium } = require('./premium');
+
+// An event still processing after this long was interrupted, e.g. by a crash
+const EVENT_PROCESSING_TIMEOUT_MINUTES = 10;
+
+// Store the event, or return null if it has already been handled.
+// Events that failed or were interrupted earlier are claimed again so provider
+// retries can succeed.
+const claimEvent = async (provider, event, payload) => {
+    try {
+        return await PaymentEvent.create({
+            provider,
+            eventId: event.id,
+            type: event.type,
+            payload
+        });
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+
+        const staleBefore = new Date(Date.now() - EVENT_PROCESSING_TIMEOUT_MINUTES * 60 * 1000);
+
+        return PaymentEvent.findOneAndUpdate(
+            {
+                provider,
+                eventId: event.id,
+                $or: [
+                    { status: 'failed' },
+                    { status: 'processing', updatedAt: { $lt: staleBefore } }
+                ]
+            },
+            { status: 'processing', $unset: { error: 1 } },
+            { new: true }
+        );
+    }
+};
+
+const findPayment = (event) => {
+    if (event.orderId) return Payment.findOne({ orderId: event.orderId });
+    if (event.paymentId) return Payment.findOne({ paymentId: event.paymentId });
+    return null;
+};
+
+const snapshot = (user) => (user
+    ? { isPremium: user.isPremium, expiresAt: user.premiumExpiresAt }
+    : undefined);
+
+// Apply the event to payments and premium state; returns true if anything changed
+const applyEvent = async (event, payment, userId) => {
+    switch (event.type) {
+        case 'payment.captured':
+            if (!payment) return false;
+            return !!(await completePayment(payment, event.paymentId));
+
+        // Only the attempt failed; the customer can still pay the same order
+        case 'payment.failed':
+            if (!payment) return false;
+            return !!(await Payment.findOneAndUpdate(
+                {
+                    _id: payment._id,
+                    status: { $in: PAYABLE_STATUSES },
+                    'failedAttempts.paymentId': { $ne: event.paymentId }
+                },
+                { $push: { failedAttempts: { paymentId: event.paymentId } } }
+            ));
+
+        case 'payment.refunded': {
+            if (!payment) return false;
+
+            const refunded = await Payment.findOneAndUpdate(
+                { _id: payment._id, status: 'paid' },
+                { status: 'refunded' }
+            );
+            if (!refunded) return false;
+
+            await rollbackPremium(payment.user, payment.plan);
+            return true;
+        }
+
+        case 'subscription.cancelled':
+            if (!userId) return false;
+            await revokePremium(userId);
+            return true;
+
+        default:
+            return false;
+    }
+};
+
+// Process a verified webhook event exactly once
+const processWebhookEvent = async (provider, event, payload) => {
+    const record = await claimEvent(provider, event, payload);
+    if (!record) {
+        return { duplicate: true, event: null };
+    }
+
+    try {
+        const payment = await findPayment(event);
+        let userId = payment ? payment.user : null;
+        if (!userId && event.userId && mongoose.isValidObjectId(event.userId)) {
+            userId = event.userId;
+        }
+
+        const before = userId ? await User.findById(userId) : null;
+        if (!before) userId = null;
+
+        const changed = await applyEvent(event, payment, userId);
+        const after = userId ? await User.findById(userId) : null;
+
+        record.status = changed ? 'processed' : 'ignored';
+        record.user = userId || undefined;
+        record.payment = payment ? payment._id : undefined;
+        record.premiumBefore = snapshot(before);
+        record.premiumAfter = snapshot(after);
+        record.processedAt = new Date();
+        await record.save();
+
+        return { duplicate: false, event: record };
+    } catch (error) {
+        record.status = 'failed';
+        record.error = error.message;
+        await record.save();
+        throw error;
+    }
+};
+
+module.exports = {
+    EVENT_PROCESSING_TIMEOUT_MINUTES,
+    processWebhookEvent
+};
@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+const { parseRazorpayEvent, signaturesMatch } = require('./razorpay');
+
+// Local payment provider for development and tests; never talks to the network.
+// Webhooks use the Razorpay format so the same fixtures work for both.
+const createFakeProvider = ({ secret = 'fake_secret', webhookSecret = 'fake_webhook_secret' } = {}) => {
+    const orders = new Map();
+
+    const sign = (payload) => crypto
+        .createHmac('sha256', secret)
+        .update(payload)
+        .digest('hex');
+
+    return {
+        name: 'fake',
+        publicKey: 'fake_key',
+        orders,
+
+        async createOrder({ amount, currency, receipt, notes }) {
+            const orderId = `order_fake_${crypto.randomBytes(8).toString('hex')}`;
+            orders.set(orderId, { amount, currency, receipt, notes });
+
+            return { orderId, amount, currency };
+        },
+
+        verifyPayment({ orderId, paymentId, signature }) {
+            return signaturesMatch(sign(`${orderId}|${paymentId}`), signature);
+        },
+
+        verifyWebhookSignature(rawBody, headers) {
+            if (!rawBody) return false;
+
+            const expected = crypto
+                .createHmac('sha256', webhookSecret)
+                .update(rawBody)
+                .digest('hex');
+
+            return signaturesMatch(expected, headers['x-razorpay-signature']);
+        },
+
+        parseWebhookEvent: parseRazorpayEvent,
+
+        // Produce the signature a real checkout would hand back to the client
+        signPayment(orderId, paymentId) {
+            return sign(`${orderId}|${paymentId}`);
+        },
+
+        // Produce the signature header for a webhook body
+        signWebhook(rawBody) {
+            return crypto
+                .createHmac('sha256', webhookSecret)
+                .update(rawBody)
+                .digest('hex');
+        }
+    };
+};
+
+module.exports = {
+    createFakeProvider
+};
@@ -0,0 +1,33 @@
+const { createRazorpayProvider } = require('./razorpay');
+const { createFakeProvider } = require('./fake');
+
+// Payment methods accepted by validatePremiumPurchase, mapped to adapter factories
+const factories = {
+    razorpay: () => (process.env.NODE_ENV === 'test'
+        ? createFakeProvider()
+        : createRazorpayProvider())
+};
+
+const providers = new Map();
+
+// Get the provider for a payment method, or null if it is not supported
+const getPaymentProvider = (method) => {
+    if (!providers.has(method)) {
+        const factory = factories[method];
+        if (!factory) return null;
+        providers.set(method, factory());
+    }
+    return providers.get(method);
+};
+
+// Replace the provider for a payment method (used by tests)
+const setPaymentProvider = (method, provider) => {
+    providers.set(method, provider);
+};
+
+module.exports = {
+    getPaymentProvider,
+    setPaymentProvider,
+    createRazorpayProvider,
+    createFakeProvider
+};
@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+const Razorpay = require('razorpay');
+
+// Constant-time comparison of two hex signatures
+const signaturesMatch = (expected, actual) => {
+    if (typeof actual !== 'string') return false;
+
+    const expectedBuffer = Buffer.from(expected);
+    const actualBuffer = Buffer.from(actual);
+
+    return expectedBuffer.length === actualBuffer.length &&
+        crypto.timingSafeEqual(expectedBuffer, actualBuffer);
+};
+
+// Razorpay event names mapped to the event types we process
+const EVENT_TYPES = {
+    'payment.captured': 'payment.captured',
+    'payment.failed': 'payment.failed',
+    'refund.processed': 'payment.refunded',
+    'subscription.cancelled': 'subscription.cancelled'
+};
+
+// Pull the entity of a given kind out of a Razorpay webhook payload
+const getEntity = (body, kind) => {
+    const wrapper = body.payload && body.payload[kind];
+    return (wrapper && wrapper.entity) || {};
+};
+
+// Normalise a Razorpay webhook body into a provider-neutral event
+const parseRazorpayEvent = (body, headers = {}) => {
+    const payment = getEntity(body, 'payment');
+    const refund = getEntity(body, 'refund');
+    const subscription = getEntity(body, 'subscription');
+    const notes = payment.notes || subscription.notes || {};
+
+    return {
+        id: headers['x-razorpay-event-id'],
+        type: EVENT_TYPES[body.event] || body.event,
+        orderId: payment.order_id,
+        paymentId: payment.id || refund.payment_id,
+        userId: notes.userId
+    };
+};
+
+// Razorpay payment provider
+const createRazorpayProvider = ({
+    keyId = process.env.RAZORPAY_KEY_ID,
+    keySecret = process.env.RAZORPAY_KEY_SECRET,
+    webhookSecret = process.env.RAZORPAY_WEBHOOK_SECRET
+} = {}) => {
+    let client;
+
+    // Create the SDK client lazily so the server can boot without keys
+    const getClient = () => {
+        if (!client) {
+            if (!keyId || !keySecret) {
+                throw new Error('Razorpay is not configured');
+            }
+            client = new Razorpay({ key_id: keyId, key_secret: keySecret });
+        }
+        return client;
+    };
+
+    return {
+        name: 'razorpay',
+        publicKey: keyId,
+
+        async createOrder({ amount, currency, receipt, notes }) {
+            const order = await getClient().orders.create({
+                amount,
+                currency,
+                receipt,
+                notes
+            });
+
+            return {
+                orderId: order.id,
+                amount: order.amount,
+                currency: order.currency
+            };
+        },
+
+        verifyPayment({ orderId, paymentId, signature }) {
+            if (!keySecret) return false;
+
+            const expected = crypto
+                .createHmac('sha256', keySecret)
+                .update(`${orderId}|${paymentId}`)
+                .digest('hex');
+
+            return signaturesMatch(expected, signature);
+        },
+
+        // Webhooks are signed over the exact bytes Razorpay sent
+        verifyWebhookSignature(rawBody, headers) {
+            if (!webhookSecret || !rawBody) return false;
+
+            const expected = crypto
+                .createHmac('sha256', webhookSecret)
+                .update(rawBody)
+                .digest('hex');
+
+            return signaturesMatch(expected, headers['x-razorpay-signature']);
+        },
+
+        parseWebhookEvent: parseRazorpayEvent
+    };
+};
+
+module.exports = {
+    createRazorpayProvider,
+    parseRazorpayEvent,
+    signaturesMatch
+};
@@ -0,0 +1,443 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const User = require('../models/User');
+const createHttpError = require('../utils/httpError');
+const { getStorage } = require('./storage');
+const { inspectImage, MEDIA_URL_TTL_SECONDS } = require('./media');
+
+const PHOTO_MAX_BYTES = 10 * 1024 * 1024;
+const PHOTO_FORMATS = ['jpeg', 'png', 'webp'];
+const PHOTO_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+// Photos a profile can hold; lapsed premium users keep extra photos but cannot add more
+const MAX_PHOTOS = 6;
+const PREMIUM_MAX_PHOTOS = 9;
+
+// Rendered sizes; everything is re-encoded as JPEG
+const PHOTO_SIZES = {
+    display: { width: 1080, height: 1350, fit: 'inside', quality: 85 },
+    thumbnail: { width: 320, height: 400, fit: 'cover', quality: 80 },
+    // Shown to free users in "who liked me"
+    blurred: { width: 160, height: 200, fit: 'cover', quality: 60, blur: 20 }
+};
+
+// Re-encode one size. sharp drops EXIF, GPS and other metadata unless asked
+// to keep it, so rotating first bakes the orientation into the pixels.
+const renderSize = (buffer, { width, height, fit, quality, blur }) => {
+    let image = sharp(buffer)
+        .rotate()
+        .resize({ width, height, fit, withoutEnlargement: true });
+    if (blur) image = image.blur(blur);
+
+    return image
+        .jpeg({ quality, mozjpeg: true })
+        .toBuffer({ resolveWithObject: true });
+};
+
+const randomName = () => crypto.randomBytes(16).toString('hex');
+
+// Photo files are private until the photo is approved, then moved under
+// this prefix so they can be served without signed URLs
+const PUBLIC_PREFIX = 'public/';
+
+const FILE_FIELDS = [
+    { key: 'key', url: 'url' },
+    { key: 'thumbnailKey', url: 'thumbnailUrl' },
+    { key: 'blurredKey', url: 'blurredUrl' }
+];
+
+// Process an uploaded photo and store every size as a private object.
+// Returns the fields for a new photo record; URLs are added on approval.
+const storePhoto = async (userId, file) => {
+    await inspectImage(file.buffer, PHOTO_FORMATS);
+
+    const [display, thumbnail, blurred] = await Promise.all([
+        renderSize(file.buffer, PHOTO_SIZES.display),
+        renderSize(file.buffer, PHOTO_SIZES.thumbnail),
+        renderSize(file.buffer, PHOTO_SIZES.blurred)
+    ]);
+
+    const storage = getStorage();
+    const base = `photos/${userId}/${randomName()}`;
+    const key = `${base}.jpg`;
+    const thumbnailKey = `${base}_thumb.jpg`;
+    // Unrelated to the other keys so it reveals neither the user nor the photo
+    const blurredKey = `blurred/${randomName()}.jpg`;
+
+    try {
+        await Promise.all([
+            storage.put(key, display.data, { contentType: 'image/jpeg' }),
+            storage.put(thumbnailKey, thumbnail.data, { contentType: 'image/jpeg' }),
+            storage.put(blurredKey, blurred.data, { contentType: 'image/jpeg' })
+        ]);
+    } catch (error) {
+        await deletePhotoFiles({ key, thumbnailKey, blurredKey });
+        throw error;
+    }
+
+    return {
+        key,
+        thumbnailKey,
+        blurredKey,
+        width: display.info.width,
+        height: display.info.height
+    };
+};
+
+// Remove stored files; failures are logged, not thrown
+const deleteFiles = async (keys) => {
+    await Promise.all(keys.filter(Boolean).map(key => getStorage().delete(key).catch((error) => {
+        console.error('Delete photo file error:', error);
+    })));
+};
+
+const deletePhotoFiles = (photo) => deleteFiles(FILE_FIELDS.map(({ key }) => photo[key]));
+
+// Move a photo's files between the private and public areas. Copies are
+// made first so a failure leaves the originals in place. Returns the new
+// key and URL fields; photos migrated from bare URLs have no keys to move.
+const movePhotoFiles = async (photo, toPublic) => {
+    const storage = getStorage();
+    const fields = {};
+    const moved = [];
+
+    try {
+        for (const { key: keyField, url: urlField } of FILE_FIELDS) {
+            const from = photo[keyField];
+            if (!from) continue;
+
+            const isPublic = from.startsWith(PUBLIC_PREFIX);
+            const to = toPublic
+                ? (isPublic ? from : `${PUBLIC_PREFIX}${from}`)
+                : (isPublic ? from.slice(PUBLIC_PREFIX.length) : from);
+
+            if (to !== from) {
+                await storage.copy(from, to, { contentType: 'image/jpeg', isPublic: toPublic });
+                moved.push({ from, to });
+            }
+
+            fields[keyField] = to;
+            fields[urlField] = toPublic ? storage.getPublicUrl(to) : undefined;
+        }
+    } catch (error) {
+        await deleteFiles(moved.map(({ to }) => to));
+        throw error;
+    }
+
+    await deleteFiles(moved.map(({ from }) => from));
+
+    return fields;
+};
+
+// Store new key and URL fields on a photo that is still in `status`
+const savePhotoFiles = async (photoId, status, fields) => {
+    const filter = { photos: { $elemMatch: { _id: photoId, status } } };
+
+    // Nothing moved (photos migrated from bare URLs); just report the match
+    if (!Object.keys(fields).length) {
+        return { matchedCount: (await User.exists(filter)) ? 1 : 0 };
+    }
+
+    const $set = {};
+    const $unset = {};
+    Object.entries(fields).forEach(([field, value]) => {
+        if (value === undefined) {
+            $unset[`photos.$.${field}`] = 1;
+        } else {
+            $set[`photos.$.${field}`] = value;
+        }
+    });
+
+    return User.updateOne(filter, {
+        ...(Object.keys($set).length && { $set }),
+        ...(Object.keys($unset).length && { $unset })
+    });
+};
+
+const getPhotoLimit = (user) => (user.isPremiumActive() ? PREMIUM_MAX_PHOTOS : MAX_PHOTOS);
+
+// Photos in display order; works on documents and lean objects
+const sortPhotos = (photos = []) => [...photos].sort((a, b) => a.order - b.order);
+
+const toPlain = (doc) => (typeof doc.toObject === 'function' ? doc.toObject() : doc);
+
+// Only approved, published photos are shown to other users, without the
+// moderation details. The blurred copy is left out so a "who liked me"
+// teaser cannot be matched to a profile seen elsewhere.
+const approvedPhotos = (photos = []) => sortPhotos(photos.filter(photo => photo.status === 'approved' && photo.url))
+    .map((photo) => {
+        const {
+            blurredUrl,
+            blurredKey,
+            reviewedBy,
+            reviewedAt,
+            rejectionReason,
+            ...visible
+        } = toPlain(photo);
+        return visible;
+    });
+
+// Another user's profile as it may be shown: approved photos only.
+// Accepts documents, lean objects, and unpopulated ids or null.
+const withApprovedPhotos = (user) => {
+    if (!user || typeof user !== 'object' || !user.photos) return user;
+    return { ...toPlain(user), photos: approvedPhotos(user.photos) };
+};
+
+// A photo as its owner or a moderator sees it. Files that are not public yet
+// get short-lived signed URLs.
+const withPhotoUrls = async (photo) => {
+    const { blurredUrl, blurredKey, ...visible } = toPlain(photo);
+    if (visible.url || !visible.key) return visible;
+
+    const storage = getStorage();
+    const sign = (key) => storage.getSignedUrl(key, { expiresIn: MEDIA_URL_TTL_SECONDS });
+
+    return {
+        ...visible,
+        url: await sign(visible.key),
+        thumbnailUrl: visible.thumbnailKey ? await sign(visible.thumbnailKey) : undefined
+    };
+};
+
+// The explicitly chosen primary photo, falling back to the first one.
+// Rejected photos are never primary.
+const getPrimaryPhoto = (user) => {
+    const photos = sortPhotos(user.photos).filter(photo => photo.status !== 'rejected');
+    if (user.primaryPhoto) {
+        const primary = photos.find(photo => photo._id.equals(user.primaryPhoto));
+        if (primary) return primary;
+    }
+    return photos[0] || null;
+};
+
+// Process, store and attach a photo, enforcing the user's photo limit
+const addPhoto = async (user, file) => {
+    const limit = getPhotoLimit(user);
+
+    // Fail fast before spending time on image processing
+    if (user.photos.length >= limit) {
+        throw createHttpError(400, `You can have at most ${limit} photos`);
+    }
+
+    const photo = await storePhoto(user._id, file);
+    const order = user.photos.reduce((max, existing) => Math.max(max, existing.order + 1), 0);
+
+    // The limit is checked again atomically, in case of parallel uploads
+    const updated = await User.findOneAndUpdate(
+        { _id: user._id, [`photos.${limit - 1}`]: { $exists: false } },
+        { $push: { photos: { ...photo, order } } },
+        { new: true }
+    ).select('photos primaryPhoto');
+
+    if (!updated) {
+        await deletePhotoFiles(photo);
+        throw createHttpError(400, `You can have at most ${limit} photos`);
+    }
+
+    return updated;
+};
+
+// Remove a photo by id; returns the updated user
+const removePhoto = async (userId, photoId) => {
+    const user = await User.findOne({ _id: userId, 'photos._id': photoId }).select('photos');
+    if (!user) {
+        throw createHttpError(404, 'Photo not found');
+    }
+
+    const photo = user.photos.id(photoId);
+
+    await User.updateOne(
+        { _id: userId, primaryPhoto: photoId },
+        { $unset: { primaryPhoto: 1 } }
+    );
+    const updated = await User.findOneAndUpdate(
+        { _id: userId },
+        { $pull: { photos: { _id: photoId } } },
+        { new: true }
+    ).select('photos primaryPhoto');
+
+    await deletePhotoFiles(photo);
+
+    return updated;
+};
+
+// Set the order of all photos at once. photoIds must list every photo exactly once.
+const reorderPhotos = async (user, photoIds) => {
+    const currentIds = user.photos.map(photo => photo._id.toString());
+    const uniqueIds = new Set(photoIds);
+
+    if (uniqueIds.size !== photoIds.length ||
+        photoIds.length !== currentIds.length ||
+        !photoIds.every(id => currentIds.includes(id))) {
+        throw createHttpError(400, 'Photo order must list every photo exactly once');
+    }
+
+    // Only applies if the set of photos is unchanged since it was read
+    const updated = await User.findOneAndUpdate(
+        {
+            _id: user._id,
+            photos: { $size: photoIds.length },
+            'photos._id': { $all: photoIds }
+        },
+        {
+            $set: Object.fromEntries(photoIds.map((id, index) => [`photos.$[p${index}].order`, index]))
+        },
+        {
+            new: true,
+            arrayFilters: photoIds.map((id, index) => ({ [`p${index}._id`]: id }))
+        }
+    ).select('photos primaryPhoto');
+
+    if (!updated) {
+        throw createHttpError(409, 'Photos changed while reordering, please try again');
+    }
+
+    return updated;
+};
+
+const setPrimaryPhoto = async (userId, photoId) => {
+    const updated = await User.findOneAndUpdate(
+        { _id: userId, 'photos._id': photoId },
+        { primaryPhoto: photoId },
+        { new: true }
+    ).select('photos primaryPhoto');
+
+    if (!updated) {
+        throw createHttpError(404, 'Photo not found');
+    }
+
+    return updated;
+};
+
+// Pending photos, oldest first, with the uploader
+const getPhotoQueue = async ({ status = 'pending', skip = 0, limit = 20 } = {}) => {
+    const [result] = await User.aggregate([
+        { $match: { 'photos.status': status } },
+        { $unwind: '$photos' },
+        { $match: { 'photos.status': status } },
+        {
+            $facet: {
+                photos: [
+                    { $sort: { 'photos.uploadedAt': 1 } },
+                    { $skip: skip },
+                    { $limit: limit },
+                    {
+                        $project: {
+                            _id: 0,
+                            photo: '$photos',
+                            user: { _id: '$_id', name: '$name', email: '$email' }
+                        }
+                    }
+                ],
+                total: [{ $count: 'count' }]
+            }
+        }
+    ]);
+
+    return {
+        photos: await Promise.all(result.photos.map(async entry => ({
+            ...entry,
+            photo: await withPhotoUrls(entry.photo)
+        }))),
+        total: result.total.length ? result.total[0].count : 0
+    };
+};
+
+// Record a moderation decision on a photo matching `criteria`
+const reviewPhoto = async (photoId, criteria, update) => {
+    const user = await User.findOneAndUpdate(
+        { photos: { $elemMatch: { _id: photoId, ...criteria } } },
+        {
+            $set: Object.fromEntries(Object.entries({
+                ...update,
+                reviewedAt: new Date()
+            }).map(([field, value]) => [`photos.$.${field}`, value]))
+        },
+        { new: true }
+    ).select('photos');
+
+    if (!user) {
+        throw createHttpError(404, 'Photo not found or already reviewed');
+    }
+
+    return { user, photo: user.photos.id(photoId) };
+};
+
+// Approve a photo and publish its files. An approved photo whose files were
+// never published (e.g. storage failed) can be approved again.
+const approvePhoto = async (photoId, adminId) => {
+    const { user, photo } = await reviewPhoto(photoId, {
+        $or: [
+            { status: 'pending' },
+            { status: 'approved', url: { $exists: false } }
+        ]
+    }, {
+        status: 'approved',
+        reviewedBy: adminId
+    });
+
+    const fields = await movePhotoFiles(photo, true);
+    const result = await savePhotoFiles(photoId, 'approved', fields);
+
+    // Rejected while the files were being published; take them down again
+    if (!result.matchedCount) {
+        await movePhotoFiles(fields, false);
+        throw createHttpError(409, 'Photo was reviewed again while being approved');
+    }
+
+    return { user, photo: { ...photo.toObject(), ...fields } };
+};
+
+// Approved photos can still be taken down, e.g. after a report. Their files
+// go back to private storage.
+const rejectPhoto = async (photoId, adminId, reason) => {
+    const { user, photo } = await reviewPhoto(photoId, { status: { $in: ['pending', 'approved'] } }, {
+        status: 'rejected',
+        reviewedBy: adminId,
+        rejectionReason: reason
+    });
+
+    const fields = await movePhotoFiles(photo, false);
+    await savePhotoFiles(photoId, 'rejected', fields);
+
+    const rejected = { ...photo.toObject(), ...fields };
+    FILE_FIELDS.forEach(({ url }) => delete rejected[url]);
+
+    return { user, photo: rejected };
+};
+
+// The owner's photo list as returned by the API
+const describePhotos = async (user) => {
+    const primary = getPrimaryPhoto(user);
+    return {
+        photos: await Promise.all(sortPhotos(user.photos).map(withPhotoUrls)),
+        primaryPhotoId: primary ? primary._id : null
+    };
+};
+
+module.exports = {
+    PHOTO_MAX_BYTES,
+    PHOTO_TYPES,
+    PHOTO_SIZES,
+    MAX_PHOTOS,
+    PREMIUM_MAX_PHOTOS,
+    storePhoto,
+    deletePhotoFiles,
+    movePhotoFiles,
+    savePhotoFiles,
+    getPhotoLimit,
+    sortPhotos,
+    approvedPhotos,
+    withApprovedPhotos,
+    withPhotoUrls,
+    getPrimaryPhoto,
+    addPhoto,
+    removePhoto,
+    reorderPhotos,
+    setPrimaryPhoto,
+    describePhotos,
+    getPhotoQueue,
+    approvePhoto,
+    rejectPhoto
+};
@@ -0,0 +1,208 @@
+const User = require('../models/User');
+const Payment = require('../models/Payment');
+const { notifyPremiumExpiring, notifyPremiumExpired } = require('./notifications');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EXPIRY_REMINDER_DAYS = 3;
+
+// Premium plans; amounts are in the smallest currency unit (paise)
+const PLANS = {
+    monthly: {
+        id: 'monthly',
+        name: 'Premium Monthly',
+        amount: 49900,
+        currency: 'INR',
+        durationDays: 30
+    },
+    yearly: {
+        id: 'yearly',
+        name: 'Premium Yearly',
+        amount: 399900,
+        currency: 'INR',
+        durationDays: 365
+    },
+    lifetime: {
+        id: 'lifetime',
+        name: 'Premium Lifetime',
+        amount: 999900,
+        currency: 'INR',
+        durationDays: null
+    }
+};
+
+const getPlan = (planId) => PLANS[planId] || null;
+
+// Work out the new expiry, extending any premium time the user still has left.
+// Returns null for lifetime plans (isPremiumActive treats no expiry as forever).
+const computeExpiry = (user, plan, now = new Date()) => {
+    if (!plan.durationDays) return null;
+
+    const current = user.premiumExpiresAt;
+    const base = user.isPremium && current && current > now ? current : now;
+
+    return new Date(base.getTime() + plan.durationDays * DAY_MS);
+};
+
+// Tries before giving up when other updates keep changing the user's premium
+const PREMIUM_UPDATE_ATTEMPTS = 5;
+
+// Change a user's premium atomically. `change` works out the update from the
+// user as read, or returns null to leave the user as is. The update only
+// applies if the premium fields are still as read; otherwise the user is read
+// again, so a webhook and a client confirming at once cannot overwrite each
+// other. Returns the user after the change.
+const updatePremium = async (userId, change) => {
+    for (let attempt = 0; attempt < PREMIUM_UPDATE_ATTEMPTS; attempt++) {
+        const user = await User.findById(userId);
+        if (!user) {
+            throw new Error('User not found');
+        }
+
+        const update = change(user);
+        if (!update) return user;
+
+        const updated = await User.findOneAndUpdate(
+            {
+                _id: user._id,
+                isPremium: user.isPremium ? true : { $ne: true },
+                premiumPlan: user.premiumPlan || null,
+                premiumExpiresAt: user.premiumExpiresAt || null
+            },
+            update,
+            { new: true }
+        );
+        if (updated) return updated;
+    }
+
+    throw new Error('Premium kept changing, giving up');
+};
+
+// Grant premium for a plan
+const activatePremium = async (userId, planId) => {
+    const plan = getPlan(planId);
+    if (!plan) {
+        throw new Error(`Unknown premium plan: ${planId}`);
+    }
+
+    return updatePremium(userId, (user) => {
+        // A lifetime plan already covers everything
+        if (user.isPremium && user.premiumPlan === 'lifetime') return null;
+
+        const expiresAt = computeExpiry(user, plan);
+        return {
+            $set: {
+                isPremium: true,
+                premiumPlan: plan.id,
+                ...(expiresAt && { premiumExpiresAt: expiresAt })
+            },
+            ...(!expiresAt && { $unset: { premiumExpiresAt: 1 } })
+        };
+    });
+};
+
+// The update ending premium immediately
+const revokeUpdate = (user, now) => ({
+    $set: {
+        isPremium: false,
+        premiumExpiresAt: user.premiumExpiresAt && user.premiumExpiresAt <= now ? user.premiumExpiresAt : now
+    },
+    // Travel mode is premium only
+    $unset: { premiumPlan: 1, travel: 1 }
+});
+
+// End premium immediately
+const revokePremium = (userId) => updatePremium(userId, user => revokeUpdate(user, new Date()));
+
+// Take back the premium time bought by a refunded plan
+const rollbackPremium = (userId, planId) => {
+    const plan = getPlan(planId);
+
+    return updatePremium(userId, (user) => {
+        const now = new Date();
+        if (!plan || !plan.durationDays || !user.premiumExpiresAt) {
+            return revokeUpdate(user, now);
+        }
+
+        const expiresAt = new Date(user.premiumExpiresAt.getTime() - plan.durationDays * DAY_MS);
+        if (expiresAt <= now) {
+            return revokeUpdate(user, now);
+        }
+
+        return {
+            $set: {
+                premiumExpiresAt: expiresAt,
+                // A trip never outlasts premium
+                ...(user.travel && user.travel.expiresAt > expiresAt && { 'travel.expiresAt': expiresAt })
+            }
+        };
+    });
+};
+
+// Orders that can still be paid. Older orders were marked failed after one
+// failed attempt even though the customer could retry them.
+const PAYABLE_STATUSES = ['created', 'failed'];
+
+// Mark an open payment as paid and grant its plan.
+// The status check is atomic, so a payment confirmed by both the client and a
+// webhook only activates premium once. Returns null if it was already claimed.
+const completePayment = async (payment, paymentId) => {
+    const claimed = await Payment.findOneAndUpdate(
+        { _id: payment._id, status: { $in: PAYABLE_STATUSES } },
+        { status: 'paid', paymentId, paidAt: new Date() },
+        { new: true }
+    );
+
+    if (!claimed) return null;
+
+    const user = await activatePremium(claimed.user, claimed.plan);
+
+    claimed.premiumExpiresAt = user.premiumExpiresAt;
+    await claimed.save();
+
+    return { payment: claimed, user };
+};
+
+// Remind users whose premium ends soon and close out the ones that ended.
+// Safe to run repeatedly: each expiry date gets one reminder.
+const processPremiumExpiries = async (now = new Date()) => {
+    const reminderCutoff = new Date(now.getTime() + EXPIRY_REMINDER_DAYS * DAY_MS);
+
+    const expiring = await User.find({
+        isPremium: true,
+        premiumExpiresAt: { $gt: now, $lte: reminderCutoff }
+    }).select('premiumExpiresAt');
+
+    for (const user of expiring) {
+        await notifyPremiumExpiring(user);
+    }
+
+    const expired = await User.find({
+        isPremium: true,
+        premiumExpiresAt: { $lte: now }
+    }).select('premiumExpiresAt');
+
+    for (const user of expired) {
+        // Only the update that flips the flag sends the notification
+        const result = await User.updateOne(
+            { _id: user._id, isPremium: true, premiumExpiresAt: { $lte: now } },
+            { $set: { isPremium: false }, $unset: { travel: 1 } }
+        );
+        if (result.modifiedCount) {
+            await notifyPremiumExpired(user);
+        }
+    }
+
+    return { reminded: expiring.length, expired: expired.length };
+};
+
+module.exports = {
+    PLANS,
+    PAYABLE_STATUSES,
+    getPlan,
+    computeExpiry,
+    activatePremium,
+    revokePremium,
+    rollbackPremium,
+    completePayment,
+    processPremiumExpiries
+};
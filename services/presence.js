@@ -0,0 +1,100 @@
+const User = require('../models/User');
+
+// lastActive is only written when the stored value is older than this
+const LAST_ACTIVE_WRITE_INTERVAL_MS = 5 * 60 * 1000;
+
+// Live socket state per user: userId -> { sockets: Set, away: Set }.
+// This is process memory, so with several server instances a user only shows
+// as online through the instance their socket is connected to.
+const connections = new Map();
+
+const getStatus = (userId) => {
+    const entry = connections.get(userId.toString());
+    if (!entry) return 'offline';
+    return entry.away.size === entry.sockets.size ? 'away' : 'online';
+};
+
+// Track a new socket; returns the user's status if it changed
+const connect = (userId, socketId) => {
+    const key = userId.toString();
+    const before = getStatus(key);
+
+    const entry = connections.get(key) || { sockets: new Set(), away: new Set() };
+    entry.sockets.add(socketId);
+    connections.set(key, entry);
+
+    const after = getStatus(key);
+    return before === after ? null : after;
+};
+
+// Forget a socket; returns the user's status if it changed.
+// lastActive is written when the last socket goes, so "last seen" is exact.
+const disconnect = async (userId, socketId) => {
+    const key = userId.toString();
+    const entry = connections.get(key);
+    if (!entry) return null;
+
+    const before = getStatus(key);
+    entry.sockets.delete(socketId);
+    entry.away.delete(socketId);
+
+    if (!entry.sockets.size) {
+        connections.delete(key);
+        await User.updateOne({ _id: userId }, { lastActive: new Date() });
+    }
+
+    const after = getStatus(key);
+    return before === after ? null : after;
+};
+
+// Mark one socket as away (app in background) or back; returns the status if it changed
+const setAway = (userId, socketId, away) => {
+    const key = userId.toString();
+    const entry = connections.get(key);
+    if (!entry || !entry.sockets.has(socketId)) return null;
+
+    const before = getStatus(key);
+    if (away) {
+        entry.away.add(socketId);
+    } else {
+        entry.away.delete(socketId);
+    }
+
+    const after = getStatus(key);
+    return before === after ? null : after;
+};
+
+// Record activity from an authenticated request without a write per request
+const touch = (user) => {
+    const lastActive = user.lastActive ? user.lastActive.getTime() : 0;
+    if (Date.now() - lastActive < LAST_ACTIVE_WRITE_INTERVAL_MS) return;
+
+    user.lastActive = new Date();
+    User.updateOne({ _id: user._id }, { lastActive: user.lastActive }).catch(error => {
+        console.error('Update last active error:', error);
+    });
+};
+
+const isPresenceHidden = (user) => !!(user.privacy && user.privacy.showPresence === false);
+
+// Presence of a user as shown to one of their matches
+const describePresence = (user) => {
+    if (isPresenceHidden(user)) {
+        return { status: 'hidden', lastSeen: null };
+    }
+
+    return {
+        status: getStatus(user._id),
+        lastSeen: user.lastActive || null
+    };
+};
+
+module.exports = {
+    getStatus,
+    connect,
+    disconnect,
+    setAway,
+    touch,
+    isPresenceHidden,
+    describePresence
+};
@@ -0,0 +1,30 @@
+const User = require('../models/User');
+
+// Only approved photos count, since discovery shows nothing else
+const hasUsablePhoto = (user) => user.photos.some(photo => photo.status === 'approved');
+
+// The one rule for profileCompleted; discovery only shows complete profiles
+const isProfileComplete = (user) => !!(
+    user.name &&
+    user.gender &&
+    user.dob &&
+    hasUsablePhoto(user)
+);
+
+// Recompute profileCompleted from the stored profile and save it if it changed
+const refreshProfileCompleted = async (userId) => {
+    const user = await User.findById(userId).select('name gender dob photos profileCompleted');
+    if (!user) return false;
+
+    const profileCompleted = isProfileComplete(user);
+    if (profileCompleted !== user.profileCompleted) {
+        await User.updateOne({ _id: userId }, { profileCompleted });
+    }
+
+    return profileCompleted;
+};
+
+module.exports = {
+    isProfileComplete,
+    refreshProfileCompleted
+};
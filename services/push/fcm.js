@@ -0,0 +1,77 @@
+const admin = require('firebase-admin');
+
+// FCM allows at most 500 tokens per multicast request
+const MAX_TOKENS_PER_REQUEST = 500;
+
+// Error codes meaning the token will never work again
+const INVALID_TOKEN_CODES = [
+    'messaging/invalid-registration-token',
+    'messaging/registration-token-not-registered'
+];
+
+// Firebase Cloud Messaging transport
+const createFcmTransport = ({
+    projectId = process.env.FIREBASE_PROJECT_ID,
+    clientEmail = process.env.FIREBASE_CLIENT_EMAIL,
+    privateKey = process.env.FIREBASE_PRIVATE_KEY
+} = {}) => {
+    let messaging;
+
+    // Initialise the SDK lazily so the server can boot without credentials
+    const getMessaging = () => {
+        if (!messaging) {
+            if (!projectId || !clientEmail || !privateKey) {
+                throw new Error('Firebase is not configured');
+            }
+
+            const app = admin.apps.length
+                ? admin.app()
+                : admin.initializeApp({
+                    credential: admin.credential.cert({
+                        projectId,
+                        clientEmail,
+                        // Keys from env files carry escaped newlines
+                        privateKey: privateKey.replace(/\\n/g, '\n')
+                    })
+                });
+            messaging = app.messaging();
+        }
+        return messaging;
+    };
+
+    return {
+        name: 'fcm',
+
+        async send(tokens, message) {
+            const results = [];
+
+            for (let i = 0; i < tokens.length; i += MAX_TOKENS_PER_REQUEST) {
+                const batch = tokens.slice(i, i + MAX_TOKENS_PER_REQUEST);
+                const response = await getMessaging().sendEachForMulticast({
+                    tokens: batch,
+                    notification: {
+                        title: message.title,
+                        body: message.body
+                    },
+                    data: message.data
+                });
+
+                response.responses.forEach((result, index) => {
+                    const code = result.error ? result.error.code : null;
+                    results.push({
+                        token: batch[index],
+                        success: result.success,
+                        error: code,
+                        invalidToken: INVALID_TOKEN_CODES.includes(code)
+                    });
+                });
+            }
+
+            return results;
+        }
+    };
+};
+
+module.exports = {
+    createFcmTransport
+};
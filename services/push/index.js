@@ -0,0 +1,94 @@
+const User = require('../../models/User');
+const { createFcmTransport } = require('./fcm');
+const { createMemoryTransport } = require('./memory');
+const { getDeviceTokens, removeDeviceTokens } = require('../devices');
+
+// Notification types grouped into the categories users can opt out of
+const CATEGORIES = {
+    new_match: 'matches',
+    new_message: 'messages',
+    like_received: 'likes',
+    super_like_received: 'likes',
+    report_outcome: 'account',
+    premium_expiring: 'premium',
+    premium_expired: 'premium',
+    photo_rejected: 'account'
+};
+
+let transport = null;
+
+const getPushTransport = () => {
+    if (!transport) {
+        transport = process.env.NODE_ENV === 'test'
+            ? createMemoryTransport()
+            : createFcmTransport();
+    }
+    return transport;
+};
+
+// Replace the push transport (used by tests)
+const setPushTransport = (newTransport) => {
+    transport = newTransport;
+};
+
+// FCM data payloads only accept string values
+const toStringData = (data = {}) => {
+    const result = {};
+    Object.keys(data).forEach(key => {
+        const value = data[key];
+        if (value === undefined || value === null) return;
+        result[key] = value instanceof Date ? value.toISOString() : String(value);
+    });
+    return result;
+};
+
+// Send a notification to every device of a user, honouring their opt-outs
+// and dropping tokens the transport reports as dead
+const sendPush = async (userId, notification) => {
+    const user = await User.findById(userId).select('pushPreferences');
+    if (!user) {
+        return { sent: 0, skipped: 'user_not_found' };
+    }
+
+    const category = CATEGORIES[notification.type];
+    if (category && user.pushPreferences && user.pushPreferences[category] === false) {
+        return { sent: 0, skipped: 'opted_out' };
+    }
+
+    const tokens = await getDeviceTokens(userId);
+    if (!tokens.length) {
+        return { sent: 0, skipped: 'no_devices' };
+    }
+
+    const results = await getPushTransport().send(tokens, {
+        title: notification.title,
+        body: notification.body,
+        data: toStringData({
+            ...notification.data,
+            type: notification.type,
+            notificationId: notification._id
+        })
+    });
+
+    const invalidTokens = results
+        .filter(result => result.invalidToken)
+        .map(result => result.token);
+
+    if (invalidTokens.length) {
+        await removeDeviceTokens(userId, invalidTokens);
+    }
+
+    return {
+        sent: results.filter(result => result.success).length,
+        removed: invalidTokens.length
+    };
+};
+
+module.exports = {
+    CATEGORIES,
+    sendPush,
+    getPushTransport,
+    setPushTransport,
+    createFcmTransport,
+    createMemoryTransport
+};
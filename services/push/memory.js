@@ -0,0 +1,37 @@
+// In-memory push transport for development and tests; never talks to the network.
+// Tokens added to invalidTokens are reported back the way FCM reports dead tokens.
+const createMemoryTransport = () => {
+    const sent = [];
+    const invalidTokens = new Set();
+
+    return {
+        name: 'memory',
+        sent,
+        invalidTokens,
+
+        async send(tokens, message) {
+            return tokens.map(token => {
+                const invalidToken = invalidTokens.has(token);
+                if (!invalidToken) {
+                    sent.push({ token, ...message });
+                }
+
+                return {
+                    token,
+                    success: !invalidToken,
+                    error: invalidToken ? 'messaging/registration-token-not-registered' : null,
+                    invalidToken
+                };
+            });
+        },
+
+        reset() {
+            sent.length = 0;
+            invalidTokens.clear();
+        }
+    };
+};
+
+module.exports = {
+    createMemoryTransport
+};
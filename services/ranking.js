@@ -0,0 +1,146 @@
+const User = require('../models/User');
+const { localDateKey } = require('../utils/timezone');
+
+// How much each signal counts towards a candidate's score. Every signal is
+// scaled to 0..1 first. Override with DISCOVERY_RANKING_WEIGHTS as JSON, e.g.
+// DISCOVERY_RANKING_WEIGHTS='{"distance":2,"recency":0.5}'.
+const DEFAULT_RANKING_WEIGHTS = {
+    distance: 1,
+    recency: 1,
+    sharedInterests: 0.75,
+    completeness: 0.5,
+    // Large enough that super likers stay ahead of everyone else
+    superLike: 10,
+    // Subtracted for profiles shown past the daily exposure cap
+    exposure: 1
+};
+
+// Daily impressions after which a profile starts losing rank
+const EXPOSURE_CAP = parseInt(process.env.DISCOVERY_EXPOSURE_CAP) || 200;
+
+// Activity this many hours ago scores half as much as activity right now
+const RECENCY_HALF_LIFE_HOURS = 24;
+
+// Interests in common that earn the full interests score
+const FULL_INTEREST_MATCH = 3;
+
+const getRankingWeights = () => {
+    if (!process.env.DISCOVERY_RANKING_WEIGHTS) return { ...DEFAULT_RANKING_WEIGHTS };
+
+    try {
+        const overrides = JSON.parse(process.env.DISCOVERY_RANKING_WEIGHTS);
+        const weights = { ...DEFAULT_RANKING_WEIGHTS };
+        Object.keys(weights).forEach((signal) => {
+            if (typeof overrides[signal] === 'number') weights[signal] = overrides[signal];
+        });
+        return weights;
+    } catch (error) {
+        console.error('Invalid DISCOVERY_RANKING_WEIGHTS, using defaults:', error.message);
+        return { ...DEFAULT_RANKING_WEIGHTS };
+    }
+};
+
+const clamp = (value) => Math.min(Math.max(value, 0), 1);
+
+const distanceScore = (distance, maxDistance) => (maxDistance > 0 ? clamp(1 - distance / maxDistance) : 0);
+
+const recencyScore = (lastActive, now) => {
+    if (!lastActive) return 0;
+    const hours = Math.max(now - new Date(lastActive), 0) / (60 * 60 * 1000);
+    return 0.5 ** (hours / RECENCY_HALF_LIFE_HOURS);
+};
+
+const normalizeInterests = (interests = []) => new Set(
+    interests.map(interest => String(interest).trim().toLowerCase()).filter(Boolean)
+);
+
+const sharedInterestsScore = (viewerInterests, candidateInterests) => {
+    const mine = normalizeInterests(viewerInterests);
+    const shared = [...normalizeInterests(candidateInterests)].filter(interest => mine.has(interest));
+    return clamp(shared.length / FULL_INTEREST_MATCH);
+};
+
+// Share of the optional profile parts that are filled in
+const completenessScore = (candidate) => {
+    const approvedPhotos = (candidate.photos || []).filter(photo => photo.status === 'approved').length;
+    const parts = [
+        candidate.bio ? 1 : 0,
+        Math.min(approvedPhotos, 3) / 3,
+        candidate.interests && candidate.interests.length ? 1 : 0,
+        candidate.isVerified ? 1 : 0
+    ];
+    return parts.reduce((sum, part) => sum + part, 0) / parts.length;
+};
+
+// 0 up to the cap, rising to 1 at twice the cap
+const exposureScore = (exposure, today) => {
+    if (!exposure || exposure.day !== today) return 0;
+    return clamp((exposure.count - EXPOSURE_CAP) / EXPOSURE_CAP);
+};
+
+// Score one candidate. Pure: the same inputs always give the same score.
+const scoreCandidate = (candidate, viewer, { weights, maxDistance, now }) => {
+    const today = localDateKey('UTC', now);
+
+    return weights.distance * distanceScore(candidate.distance, maxDistance) +
+        weights.recency * recencyScore(candidate.lastActive, now) +
+        weights.sharedInterests * sharedInterestsScore(viewer.interests, candidate.interests) +
+        weights.completeness * completenessScore(candidate) +
+        weights.superLike * (candidate.superLikedYou ? 1 : 0) -
+        weights.exposure * exposureScore(candidate.exposure, today);
+};
+
+// Order candidates for the deck: a just-rewound profile first, then by score.
+// Ties go to the nearer profile, then to the lower id, so the order is stable.
+// maxDistance is in metres, like candidate.distance.
+const rankCandidates = (candidates, viewer, {
+    weights = getRankingWeights(),
+    maxDistance,
+    now = new Date()
+} = {}) => candidates
+    .map(candidate => ({
+        candidate,
+        score: scoreCandidate(candidate, viewer, { weights, maxDistance, now })
+    }))
+    .sort((a, b) => (
+        (b.candidate.isRewound ? 1 : 0) - (a.candidate.isRewound ? 1 : 0) ||
+        b.score - a.score ||
+        a.candidate.distance - b.candidate.distance ||
+        String(a.candidate._id).localeCompare(String(b.candidate._id))
+    ))
+    .map(({ candidate }) => candidate);
+
+// Count an impression for each served profile; feeds the exposure cap
+const recordExposure = (userIds, now = new Date()) => {
+    if (!userIds.length) return Promise.resolve();
+
+    const today = localDateKey('UTC', now);
+    return User.updateMany(
+        { _id: { $in: userIds } },
+        [{
+            $set: {
+                exposure: {
+                    day: today,
+                    count: {
+                        $cond: [
+                            { $eq: ['$exposure.day', today] },
+                            { $add: [{ $ifNull: ['$exposure.count', 0] }, 1] },
+                            1
+                        ]
+                    }
+                }
+            }
+        }]
+    ).catch((error) => {
+        console.error('Record exposure error:', error);
+    });
+};
+
+module.exports = {
+    DEFAULT_RANKING_WEIGHTS,
+    EXPOSURE_CAP,
+    getRankingWeights,
+    scoreCandidate,
+    rankCandidates,
+    recordExposure
+};
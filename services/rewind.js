@@ -0,0 +1,110 @@
+const Swipe = require('../models/Swipe');
+const Match = require('../models/Match');
+const Chat = require('../models/Chat');
+const User = require('../models/User');
+const createHttpError = require('../utils/httpError');
+const { createDailyAllowance } = require('./allowances');
+const { LIKE_TYPES } = require('./swipes');
+const { refundSuperLike } = require('./superLikes');
+const { removeMatchNotifications, removeSuperLikeNotifications } = require('./notifications');
+const { leaveMatchRoom } = require('../socket/emitter');
+
+// Only a swipe this recent can be taken back
+const REWIND_WINDOW_MINUTES = parseInt(process.env.REWIND_WINDOW_MINUTES) || 10;
+
+// Rewinds per day; unlimited for premium
+const REWIND_LIMITS = {
+    free: 1,
+    premium: null
+};
+
+const rewinds = createDailyAllowance('rewinds', REWIND_LIMITS);
+
+// Take back the user's most recent swipe. A match it created is undone too,
+// unless the pair has already exchanged messages. Each swipe can be rewound
+// once, and only swipes made since the last rewind count.
+const rewindLastSwipe = async (user) => {
+    const windowStart = Date.now() - REWIND_WINDOW_MINUTES * 60 * 1000;
+    const lastRewindAt = user.rewinds && user.rewinds.lastAt ? user.rewinds.lastAt.getTime() : 0;
+
+    const swipe = await Swipe.findOne({
+        actor: user._id,
+        updatedAt: { $gt: new Date(Math.max(windowStart, lastRewindAt)) }
+    }).sort({ updatedAt: -1 });
+
+    if (!swipe) {
+        throw createHttpError(404, 'Nothing to rewind');
+    }
+
+    let match = null;
+    if (LIKE_TYPES.includes(swipe.type)) {
+        match = await Match.findOne({
+            pairKey: Match.pairKey(user._id, swipe.target),
+            isActive: true,
+            createdAt: { $gte: swipe.updatedAt }
+        });
+
+        if (match) {
+            // If their like came later, their like made the match, not this one
+            const likedFirst = await Swipe.exists({
+                actor: swipe.target,
+                target: user._id,
+                type: { $in: LIKE_TYPES },
+                updatedAt: { $lte: swipe.updatedAt }
+            });
+            if (!likedFirst) {
+                throw createHttpError(409, 'This like has already been matched');
+            }
+
+            if (await Chat.exists({ matchId: match._id })) {
+                throw createHttpError(409, 'You have already started chatting with this match');
+            }
+        }
+    }
+
+    if (!(await rewinds.consume(user))) {
+        throw createHttpError(429, 'No rewinds left today', { code: 'REWIND_LIMIT' });
+    }
+
+    // Only delete the swipe as it was read, in case it changed meanwhile
+    const removed = await Swipe.findOneAndDelete({ _id: swipe._id, updatedAt: swipe.updatedAt });
+    if (!removed) {
+        await rewinds.refund(user);
+        throw createHttpError(409, 'Your last swipe changed, please try again');
+    }
+
+    if (match) {
+        await Match.deleteOne({ _id: match._id });
+        leaveMatchRoom(match);
+        await removeMatchNotifications(match);
+    }
+
+    // Notifications are pushed as they are created, so a super like the
+    // target was told about (directly or through the match) is not given
+    // back. Otherwise it returns to the allowance it was taken from.
+    if (swipe.type === 'superlike') {
+        const notified = await removeSuperLikeNotifications(swipe.target, user._id);
+        if (!notified && !match) {
+            await refundSuperLike(user, swipe.updatedAt);
+        }
+    }
+
+    // The target goes back to the front of the deck
+    await User.updateOne(
+        { _id: user._id },
+        { 'rewinds.lastAt': new Date(), rewoundUser: swipe.target }
+    );
+
+    return {
+        targetUserId: swipe.target,
+        type: swipe.type,
+        matchUndone: !!match
+    };
+};
+
+module.exports = {
+    REWIND_WINDOW_MINUTES,
+    REWIND_LIMITS,
+    getRewindAllowance: rewinds.getAllowance,
+    rewindLastSwipe
+};
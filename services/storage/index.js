@@ -0,0 +1,26 @@
+const { createS3Storage } = require('./s3');
+const { createLocalStorage } = require('./local');
+
+let storage = null;
+
+// Get the configured storage adapter (STORAGE_DRIVER=s3|local, local by default)
+const getStorage = () => {
+    if (!storage) {
+        storage = process.env.STORAGE_DRIVER === 's3'
+            ? createS3Storage()
+            : createLocalStorage();
+    }
+    return storage;
+};
+
+// Replace the storage adapter (used by tests)
+const setStorage = (adapter) => {
+    storage = adapter;
+};
+
+module.exports = {
+    getStorage,
+    setStorage,
+    createS3Storage,
+    createLocalStorage
+};
@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const CONTENT_TYPES = {
+    '.jpg': 'image/jpeg',
+    '.png': 'image/png',
+    '.webp': 'image/webp',
+    '.gif': 'image/gif'
+};
+
+const PUBLIC_PREFIX = 'public/';
+
+// The canonical form of a key, or null for keys with empty, '.' or '..'
+// segments, which could point somewhere other than they appear to
+const normalizeKey = (key) => {
+    if (typeof key !== 'string' || !key || key.includes('\\') || key.includes('\0')) return null;
+
+    const normalized = path.posix.normalize(key);
+    if (normalized !== key || key.startsWith('/')) return null;
+    if (key.split('/').some(segment => segment === '..' || segment === '.')) return null;
+
+    return normalized;
+};
+
+const isPublicKey = (key) => {
+    const normalized = normalizeKey(key);
+    return !!normalized && normalized.startsWith(PUBLIC_PREFIX);
+};
+
+// Local disk storage for development and tests. Signed URLs point at
+// /api/media, which checks the signature before serving the file. Public
+// objects live under public/ and are served without a signature.
+const createLocalStorage = ({
+    root = process.env.STORAGE_LOCAL_DIR || path.join(process.cwd(), 'uploads'),
+    baseUrl = process.env.PUBLIC_URL || '',
+    secret = process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET
+} = {}) => {
+    const sign = (key, expires) => crypto
+        .createHmac('sha256', secret)
+        .update(`${key}:${expires}`)
+        .digest('hex');
+
+    // Keys are generated by us, but never let one escape the storage root
+    const resolve = (key) => {
+        const filePath = path.resolve(root, key);
+        if (!filePath.startsWith(path.resolve(root) + path.sep)) {
+            throw new Error('Invalid storage key');
+        }
+        return filePath;
+    };
+
+    return {
+        name: 'local',
+
+        async put(key, body, { isPublic = false } = {}) {
+            if (isPublic !== isPublicKey(key)) {
+                throw new Error('Public objects must be stored under public/');
+            }
+
+            const filePath = resolve(key);
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(filePath, body);
+
+            return { key, size: body.length };
+        },
+
+        // Copy an object, e.g. to publish a photo once it is approved
+        async copy(fromKey, toKey, { isPublic = false } = {}) {
+            if (isPublic !== isPublicKey(toKey)) {
+                throw new Error('Public objects must be stored under public/');
+            }
+
+            const filePath = resolve(toKey);
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.copyFile(resolve(fromKey), filePath);
+
+            return { key: toKey };
+        },
+
+        async getSignedUrl(key, { expiresIn }) {
+            const expires = Math.floor(Date.now() / 1000) + expiresIn;
+            const query = `expires=${expires}&signature=${sign(key, expires)}`;
+
+            return `${baseUrl}/api/media/${key}?${query}`;
+        },
+
+        getPublicUrl(key) {
+            return `${baseUrl}/api/media/${key}`;
+        },
+
+        normalizeKey,
+        isPublicKey,
+
+        async delete(key) {
+            await fs.promises.rm(resolve(key), { force: true });
+        },
+
+        // Used by the media route to check a signed URL
+        verifySignature(key, expires, signature) {
+            if (!expires || !signature) return false;
+            if (parseInt(expires) < Math.floor(Date.now() / 1000)) return false;
+
+            const expected = Buffer.from(sign(key, expires));
+            const actual = Buffer.from(String(signature));
+            return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+        },
+
+        createReadStream(key) {
+            return fs.createReadStream(resolve(key));
+        },
+
+        getContentType(key) {
+            return CONTENT_TYPES[path.extname(key)] || 'application/octet-stream';
+        }
+    };
+};
+
+module.exports = {
+    createLocalStorage,
+    normalizeKey,
+    isPublicKey
+};
@@ -0,0 +1,76 @@
+const AWS = require('aws-sdk');
+
+// Amazon S3 storage. Objects stay private and are read through presigned URLs,
+// unless they are stored as public (profile photos), which are served from
+// STORAGE_PUBLIC_URL (e.g. a CDN in front of the bucket).
+const createS3Storage = ({
+    bucket = process.env.AWS_S3_BUCKET,
+    region = process.env.AWS_REGION,
+    publicUrl = process.env.STORAGE_PUBLIC_URL,
+    accessKeyId = process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey = process.env.AWS_SECRET_ACCESS_KEY
+} = {}) => {
+    const s3 = new AWS.S3({
+        region,
+        accessKeyId,
+        secretAccessKey,
+        signatureVersion: 'v4'
+    });
+
+    return {
+        name: 's3',
+
+        async put(key, body, { contentType, isPublic = false }) {
+            await s3.putObject({
+                Bucket: bucket,
+                Key: key,
+                Body: body,
+                ContentType: contentType,
+                ...(isPublic && {
+                    ACL: 'public-read',
+                    CacheControl: 'public, max-age=31536000, immutable'
+                })
+            }).promise();
+
+            return { key, size: body.length };
+        },
+
+        // Copy an object, e.g. to publish a photo once it is approved
+        async copy(fromKey, toKey, { contentType, isPublic = false }) {
+            await s3.copyObject({
+                Bucket: bucket,
+                CopySource: `${bucket}/${fromKey}`,
+                Key: toKey,
+                ContentType: contentType,
+                MetadataDirective: 'REPLACE',
+                ...(isPublic && {
+                    ACL: 'public-read',
+                    CacheControl: 'public, max-age=31536000, immutable'
+                })
+            }).promise();
+
+            return { key: toKey };
+        },
+
+        getSignedUrl(key, { expiresIn }) {
+            return s3.getSignedUrlPromise('getObject', {
+                Bucket: bucket,
+                Key: key,
+                Expires: expiresIn
+            });
+        },
+
+        getPublicUrl(key) {
+            const base = publicUrl || `https://${bucket}.s3.${region}.amazonaws.com`;
+            return `${base.replace(/\/$/, '')}/${key}`;
+        },
+
+        async delete(key) {
+            await s3.deleteObject({ Bucket: bucket, Key: key }).promise();
+        }
+    };
+};
+
+module.exports = {
+    createS3Storage
+};
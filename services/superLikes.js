@@ -0,0 +1,16 @@
+const { createDailyAllowance } = require('./allowances');
+
+// Super likes per day; the allowance resets at the user's local midnight
+const SUPER_LIKE_LIMITS = {
+    free: 1,
+    premium: 5
+};
+
+const superLikes = createDailyAllowance('superLikes', SUPER_LIKE_LIMITS);
+
+module.exports = {
+    SUPER_LIKE_LIMITS,
+    getSuperLikeAllowance: superLikes.getAllowance,
+    consumeSuperLike: superLikes.consume,
+    refundSuperLike: superLikes.refund
+};
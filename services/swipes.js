@@ -0,0 +1,96 @@
+const Swipe = require('../models/Swipe');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Swipe types that count as liking someone
+const LIKE_TYPES = ['like', 'superlike'];
+
+// How long a pass hides a profile from discovery
+const PASS_RECYCLE_DAYS = parseInt(process.env.PASS_RECYCLE_DAYS) || 90;
+
+// Record (or renew) a pass on a user. A pass replaces an earlier like.
+const recordPass = (actorId, targetId) => Swipe.findOneAndUpdate(
+    { actor: actorId, target: targetId },
+    {
+        $set: {
+            type: 'pass',
+            expiresAt: new Date(Date.now() + PASS_RECYCLE_DAYS * DAY_MS)
+        }
+    },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+);
+
+// Record a like, replacing an earlier pass. Returns null if the user already
+// liked the target; the unique index makes that check atomic.
+const recordLike = async (actorId, targetId, type = 'like') => {
+    try {
+        return await Swipe.findOneAndUpdate(
+            { actor: actorId, target: targetId, type: { $nin: LIKE_TYPES } },
+            {
+                $set: { type },
+                $unset: { expiresAt: 1 }
+            },
+            { new: true, upsert: true, setDefaultsOnInsert: true }
+        );
+    } catch (error) {
+        if (error.code === 11000) return null;
+        throw error;
+    }
+};
+
+const findLike = (actorId, targetId) => Swipe.findOne({
+    actor: actorId,
+    target: targetId,
+    type: { $in: LIKE_TYPES }
+});
+
+const hasLiked = (actorId, targetId) => Swipe.exists({
+    actor: actorId,
+    target: targetId,
+    type: { $in: LIKE_TYPES }
+});
+
+// Forget a like, e.g. when the user blocks the target
+const removeLike = (actorId, targetId) => Swipe.deleteOne({
+    actor: actorId,
+    target: targetId,
+    type: { $in: LIKE_TYPES }
+});
+
+const countLikesSent = (userId) => Swipe.countDocuments({
+    actor: userId,
+    type: { $in: LIKE_TYPES }
+});
+
+const countLikesReceived = (userId) => Swipe.countDocuments({
+    target: userId,
+    type: { $in: LIKE_TYPES }
+});
+
+// Users the viewer has swiped on, to leave out of discovery. The TTL monitor
+// only runs every minute, so expiry is checked here as well. Passes expire,
+// which keeps this list bounded.
+const findSwipedIds = (viewerId) => Swipe.distinct('target', {
+    actor: viewerId,
+    expiresAt: { $not: { $lte: new Date() } }
+});
+
+// Users who super liked the viewer
+const findSuperLikerIds = (viewerId) => Swipe.distinct('actor', {
+    target: viewerId,
+    type: 'superlike'
+});
+
+module.exports = {
+    LIKE_TYPES,
+    PASS_RECYCLE_DAYS,
+    recordPass,
+    recordLike,
+    findLike,
+    hasLiked,
+    removeLike,
+    countLikesSent,
+    countLikesReceived,
+    findSwipedIds,
+    findSuperLikerIds
+};
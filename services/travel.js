@@ -0,0 +1,141 @@
+const User = require('../models/User');
+const createHttpError = require('../utils/httpError');
+const { roundCoordinates } = require('../utils/geo');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long a trip lasts when no length is given, and the longest allowed
+const DEFAULT_TRAVEL_DAYS = 7;
+const MAX_TRAVEL_DAYS = 30;
+
+// Named destinations; coordinates are [longitude, latitude] like GeoJSON
+const TRAVEL_CITIES = [
+    { id: 'mumbai', name: 'Mumbai', country: 'India', coordinates: [72.8777, 19.076] },
+    { id: 'delhi', name: 'Delhi', country: 'India', coordinates: [77.209, 28.6139] },
+    { id: 'bengaluru', name: 'Bengaluru', country: 'India', coordinates: [77.5946, 12.9716] },
+    { id: 'hyderabad', name: 'Hyderabad', country: 'India', coordinates: [78.4867, 17.385] },
+    { id: 'chennai', name: 'Chennai', country: 'India', coordinates: [80.2707, 13.0827] },
+    { id: 'kolkata', name: 'Kolkata', country: 'India', coordinates: [88.3639, 22.5726] },
+    { id: 'pune', name: 'Pune', country: 'India', coordinates: [73.8567, 18.5204] },
+    { id: 'goa', name: 'Goa', country: 'India', coordinates: [73.8278, 15.4909] },
+    { id: 'dubai', name: 'Dubai', country: 'United Arab Emirates', coordinates: [55.2708, 25.2048] },
+    { id: 'singapore', name: 'Singapore', country: 'Singapore', coordinates: [103.8198, 1.3521] },
+    { id: 'bangkok', name: 'Bangkok', country: 'Thailand', coordinates: [100.5018, 13.7563] },
+    { id: 'london', name: 'London', country: 'United Kingdom', coordinates: [-0.1276, 51.5072] },
+    { id: 'paris', name: 'Paris', country: 'France', coordinates: [2.3522, 48.8566] },
+    { id: 'berlin', name: 'Berlin', country: 'Germany', coordinates: [13.405, 52.52] },
+    { id: 'new-york', name: 'New York', country: 'United States', coordinates: [-74.006, 40.7128] },
+    { id: 'san-francisco', name: 'San Francisco', country: 'United States', coordinates: [-122.4194, 37.7749] },
+    { id: 'toronto', name: 'Toronto', country: 'Canada', coordinates: [-79.3832, 43.6532] },
+    { id: 'sydney', name: 'Sydney', country: 'Australia', coordinates: [151.2093, -33.8688] },
+    { id: 'tokyo', name: 'Tokyo', country: 'Japan', coordinates: [139.6503, 35.6762] }
+];
+
+const getCity = (cityId) => TRAVEL_CITIES.find(city => city.id === cityId) || null;
+
+// A trip counts until it expires; works on documents and lean objects
+const isTravelling = (user, now = new Date()) => !!(
+    user.travel &&
+    user.travel.expiresAt &&
+    user.travel.expiresAt > now &&
+    user.travel.location &&
+    user.travel.location.coordinates &&
+    user.travel.location.coordinates.length
+);
+
+// Where discovery searches from: the trip destination, else the stored location
+const getDiscoveryLocation = (user) => {
+    if (isTravelling(user)) {
+        return {
+            type: 'Point',
+            coordinates: [...user.travel.location.coordinates]
+        };
+    }
+    return user.location && user.location.coordinates && user.location.coordinates.length
+        ? user.location
+        : null;
+};
+
+// The "visiting" label other users see on a traveller's card, or null
+const describeVisiting = (user) => {
+    if (!isTravelling(user)) return null;
+    return { city: user.travel.city || null };
+};
+
+// Start or replace a trip. Either `cityId` or both coordinates are required.
+// Trips are a premium feature and cannot outlast the user's premium.
+// Returns a partial user document with only `travel` selected, enough for
+// describeTravel; methods such as isPremiumActive need the full user.
+const startTravel = async (user, { cityId, latitude, longitude, days = DEFAULT_TRAVEL_DAYS }) => {
+    if (!user.isPremiumActive()) {
+        throw createHttpError(403, 'Travel mode is a premium feature', { code: 'PREMIUM_REQUIRED' });
+    }
+
+    let coordinates;
+    let cityName;
+    if (cityId) {
+        const city = getCity(cityId);
+        if (!city) {
+            throw createHttpError(400, 'Unknown city');
+        }
+        coordinates = city.coordinates;
+        cityName = `${city.name}, ${city.country}`;
+    } else if (latitude !== undefined && longitude !== undefined) {
+        coordinates = roundCoordinates(parseFloat(longitude), parseFloat(latitude));
+    } else {
+        throw createHttpError(400, 'Choose a city or give coordinates');
+    }
+
+    const now = new Date();
+    let expiresAt = new Date(now.getTime() + Math.min(days, MAX_TRAVEL_DAYS) * DAY_MS);
+    if (user.premiumExpiresAt && user.premiumExpiresAt < expiresAt) {
+        expiresAt = user.premiumExpiresAt;
+    }
+
+    const updated = await User.findByIdAndUpdate(
+        user._id,
+        {
+            travel: {
+                location: { type: 'Point', coordinates },
+                city: cityName,
+                startedAt: now,
+                expiresAt
+            }
+        },
+        { new: true, runValidators: true }
+    ).select('travel');
+
+    return updated;
+};
+
+const stopTravel = (userId) => User.updateOne(
+    { _id: userId },
+    { $unset: { travel: 1 } }
+);
+
+// The user's own trip as returned by the API
+const describeTravel = (user) => {
+    if (!isTravelling(user)) return { active: false };
+
+    const [longitude, latitude] = user.travel.location.coordinates;
+    return {
+        active: true,
+        city: user.travel.city || null,
+        latitude,
+        longitude,
+        startedAt: user.travel.startedAt,
+        expiresAt: user.travel.expiresAt
+    };
+};
+
+module.exports = {
+    DEFAULT_TRAVEL_DAYS,
+    MAX_TRAVEL_DAYS,
+    TRAVEL_CITIES,
+    isTravelling,
+    getDiscoveryLocation,
+    describeVisiting,
+    startTravel,
+    stopTravel,
+    describeTravel
+};
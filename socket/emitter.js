@@ -0,0 +1,44 @@
+// Holds the Socket.IO server so services can emit events without importing
+// the socket setup (which itself depends on those services)
+let io = null;
+
+const setIO = (server) => {
+    io = server;
+};
+
+const getIO = () => io;
+
+const matchRoom = (matchId) => `match:${matchId}`;
+const userRoom = (userId) => `user:${userId}`;
+
+const emitToMatch = (matchId, event, payload) => {
+    if (io) io.to(matchRoom(matchId)).emit(event, payload);
+};
+
+const emitToUser = (userId, event, payload) => {
+    if (io) io.to(userRoom(userId)).emit(event, payload);
+};
+
+// Subscribe both users' connected sockets to a newly created match
+const joinMatchRoom = (match) => {
+    if (!io) return;
+    match.users.forEach(userId => {
+        io.in(userRoom(userId)).socketsJoin(matchRoom(match._id));
+    });
+};
+
+// Unsubscribe everyone from a match that has ended
+const leaveMatchRoom = (match) => {
+    if (io) io.in(matchRoom(match._id)).socketsLeave(matchRoom(match._id));
+};
+
+module.exports = {
+    setIO,
+    getIO,
+    matchRoom,
+    userRoom,
+    emitToMatch,
+    emitToUser,
+    joinMatchRoom,
+    leaveMatchRoom
+};
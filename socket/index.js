@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+const { Server } = require('socket.io');
+const User = require('../models/User');
+const Match = require('../models/Match');
+const { verifyToken } = require('../middleware/auth');
+const { runValidation, chatMessageRules } = require('../middleware/validation');
+const createHttpError = require('../utils/httpError');
+const {
+    getMatchForUser,
+    sendMessage,
+    markMessagesRead,
+    deleteMessage,
+    toMessageView
+} = require('../services/chat');
+const { setIO, matchRoom, userRoom } = require('./emitter');
+const { registerPresenceHandlers, announceConnection } = require('./presence');
+
+// Take the token from the handshake auth payload, or an Authorization header
+const getHandshakeToken = (handshake) => {
+    if (handshake.auth && handshake.auth.token) {
+        return handshake.auth.token;
+    }
+
+    const header = handshake.headers.authorization;
+    if (header && header.startsWith('Bearer')) {
+        return header.split(' ')[1];
+    }
+
+    return null;
+};
+
+// Authenticate the handshake with the same tokens protectUser accepts
+const authenticate = async (socket, next) => {
+    try {
+        const token = getHandshakeToken(socket.handshake);
+        if (!token) {
+            return next(new Error('Not authorized'));
+        }
+
+        const decoded = verifyToken(token);
+        if (decoded.type !== 'user') {
+            return next(new Error('Invalid token type'));
+        }
+
+        const user = await User.findById(decoded.id).select('-password');
+        if (!user || !user.isActive || user.isBlocked || user.isSuspended()) {
+            return next(new Error('Not authorized'));
+        }
+
+        socket.user = user;
+        next();
+    } catch (error) {
+        next(new Error('Not authorized'));
+    }
+};
+
+const assertObjectId = (id, message) => {
+    if (!mongoose.isValidObjectId(id)) {
+        throw createHttpError(400, message);
+    }
+};
+
+// Wrap an event handler so the client's acknowledgement always gets an answer
+// shaped like a REST response
+const handleEvent = (handler) => async (payload, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+
+    try {
+        const data = await handler(payload || {});
+        reply({ success: true, data });
+    } catch (error) {
+        if (!error.status) {
+            console.error('Socket event error:', error);
+        }
+
+        reply({
+            success: false,
+            message: error.status ? error.message : 'Server error',
+            ...(error.errors && { errors: error.errors })
+        });
+    }
+};
+
+const registerChatHandlers = (socket) => {
+    const user = socket.user;
+
+    socket.on('message:send', handleEvent(async ({ matchId, message, messageType }) => {
+        assertObjectId(matchId, 'Invalid match ID');
+
+        const { data, errors } = await runValidation(chatMessageRules, { message, messageType });
+        if (errors.length) {
+            throw createHttpError(400, 'Validation failed', { errors });
+        }
+
+        const chatMessage = await sendMessage(matchId, user, data);
+        return { message: await toMessageView(chatMessage) };
+    }));
+
+    socket.on('message:read', handleEvent(async ({ matchId }) => {
+        assertObjectId(matchId, 'Invalid match ID');
+
+        const match = await getMatchForUser(matchId, user._id);
+        const updated = await markMessagesRead(match, user._id);
+        return { updated };
+    }));
+
+    socket.on('message:delete', handleEvent(async ({ matchId, messageId }) => {
+        assertObjectId(matchId, 'Invalid match ID');
+        assertObjectId(messageId, 'Invalid message ID');
+
+        await deleteMessage(matchId, messageId, user._id);
+        return { messageId };
+    }));
+};
+
+// Attach the Socket.IO server to the HTTP server
+const initSocket = (server, { cors } = {}) => {
+    const io = new Server(server, { cors });
+
+    io.use(authenticate);
+
+    io.on('connection', async (socket) => {
+        const userId = socket.user._id;
+
+        // Register handlers first so no early event is dropped
+        registerChatHandlers(socket);
+        registerPresenceHandlers(socket);
+        socket.join(userRoom(userId));
+
+        try {
+            const matches = await Match.find({ users: userId, isActive: true })
+                .select('_id')
+                .lean();
+            socket.join(matches.map(match => matchRoom(match._id)));
+
+            await announceConnection(socket);
+        } catch (error) {
+            console.error('Socket join matches error:', error);
+        }
+    });
+
+    setIO(io);
+    return io;
+};
+
+module.exports = {
+    initSocket
+};
@@ -0,0 +1,105 @@
+const User = require('../models/User');
+const Match = require('../models/Match');
+const presence = require('../services/presence');
+const { getIO, matchRoom, userRoom } = require('./emitter');
+
+// Tell the user's matches (and nobody else) about their presence
+const broadcastPresence = async (user) => {
+    const io = getIO();
+    if (!io) return;
+
+    try {
+        const matches = await Match.find({ users: user._id, isActive: true })
+            .select('_id')
+            .lean();
+        if (!matches.length) return;
+
+        io.to(matches.map(match => matchRoom(match._id)))
+            .except(userRoom(user._id))
+            .emit('presence', {
+                userId: user._id,
+                ...presence.describePresence(user)
+            });
+    } catch (error) {
+        console.error('Broadcast presence error:', error);
+    }
+};
+
+// Reload the fields presence depends on, then broadcast
+const broadcastPresenceOf = async (userId) => {
+    const user = await User.findById(userId).select('privacy lastActive');
+    if (user) await broadcastPresence(user);
+};
+
+// Relay typing to the other member of a match the socket has joined
+const emitTyping = (socket, matchId, isTyping) => {
+    if (typeof matchId !== 'string') return;
+
+    const room = matchRoom(matchId);
+    if (!socket.rooms.has(room)) return;
+
+    if (isTyping) {
+        socket.data.typing.add(room);
+    } else {
+        socket.data.typing.delete(room);
+    }
+
+    socket.to(room)
+        .except(userRoom(socket.user._id))
+        .emit('typing', {
+            matchId,
+            userId: socket.user._id,
+            isTyping
+        });
+};
+
+const registerPresenceHandlers = (socket) => {
+    const userId = socket.user._id;
+    socket.data.typing = new Set();
+
+    // Clients can send anything, including null, so read the payload defensively
+    socket.on('typing:start', (payload) => emitTyping(socket, payload && payload.matchId, true));
+    socket.on('typing:stop', (payload) => emitTyping(socket, payload && payload.matchId, false));
+
+    socket.on('presence:away', () => {
+        if (presence.setAway(userId, socket.id, true)) broadcastPresenceOf(userId);
+    });
+
+    socket.on('presence:active', () => {
+        if (presence.setAway(userId, socket.id, false)) broadcastPresenceOf(userId);
+    });
+
+    socket.on('disconnect', async () => {
+        // A dropped connection stops typing in every chat it was typing in
+        socket.data.typing.forEach(room => {
+            socket.to(room).except(userRoom(userId)).emit('typing', {
+                matchId: room.slice('match:'.length),
+                userId,
+                isTyping: false
+            });
+        });
+
+        try {
+            if (await presence.disconnect(userId, socket.id)) {
+                await broadcastPresenceOf(userId);
+            }
+        } catch (error) {
+            console.error('Socket disconnect error:', error);
+        }
+    });
+};
+
+// Called once the socket has joined its match rooms
+const announceConnection = async (socket) => {
+    if (!socket.connected) return;
+
+    if (presence.connect(socket.user._id, socket.id)) {
+        await broadcastPresenceOf(socket.user._id);
+    }
+};
+
+module.exports = {
+    broadcastPresence,
+    registerPresenceHandlers,
+    announceConnection
+};
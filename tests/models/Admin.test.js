@@ -0,0 +1,43 @@
+const Admin = require('../../models/Admin');
+
+const admin = (role, permissions = []) => new Admin({
+    username: `${role}-user`,
+    email: `${role}@example.com`,
+    password: 'password123',
+    role,
+    permissions
+});
+
+describe('Admin.canGrant', () => {
+    const manager = admin('admin', ['manage_admins', 'manage_reports']);
+
+    test('allows a subset of the granting admin\'s own permissions', () => {
+        expect(manager.canGrant({ role: 'moderator', permissions: ['manage_reports'] })).toBe(true);
+        expect(manager.canGrant({ role: 'admin', permissions: ['manage_admins', 'manage_reports'] })).toBe(true);
+        expect(manager.canGrant({})).toBe(true);
+    });
+
+    test('rejects permissions the granting admin does not hold', () => {
+        expect(manager.canGrant({ role: 'moderator', permissions: ['manage_users'] })).toBe(false);
+        expect(manager.canGrant({ permissions: ['manage_reports', 'manage_premium'] })).toBe(false);
+    });
+
+    test('rejects roles above the granting admin\'s own', () => {
+        expect(manager.canGrant({ role: 'super_admin' })).toBe(false);
+        expect(admin('moderator', ['manage_admins']).canGrant({ role: 'admin' })).toBe(false);
+    });
+
+    test('lets super admins grant anything', () => {
+        expect(admin('super_admin').canGrant({ role: 'super_admin', permissions: ['manage_users'] })).toBe(true);
+    });
+});
+
+describe('Admin.canManage', () => {
+    test('only covers accounts with no more access than the manager', () => {
+        const manager = admin('admin', ['manage_admins', 'manage_reports']);
+
+        expect(manager.canManage(admin('moderator', ['manage_reports']))).toBe(true);
+        expect(manager.canManage(admin('admin', ['manage_users']))).toBe(false);
+        expect(manager.canManage(admin('super_admin'))).toBe(false);
+    });
+});
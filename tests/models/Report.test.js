@@ -0,0 +1,64 @@
+const Report = require('../../models/Report');
+
+describe('Report.resolveOpen', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    test('only claims reports that are still open', async () => {
+        const update = jest.spyOn(Report, 'findOneAndUpdate').mockResolvedValue(null);
+
+        const report = await Report.resolveOpen('report-1', 'admin-1', 'temporary_ban', 'notes');
+
+        expect(report).toBeNull();
+        const [filter, change] = update.mock.calls[0];
+        expect(filter).toEqual({ _id: 'report-1', status: { $in: ['pending', 'investigating'] } });
+        expect(change).toMatchObject({
+            status: 'resolved',
+            resolvedBy: 'admin-1',
+            action: 'temporary_ban',
+            adminNotes: 'notes',
+            resolvedAt: expect.any(Date)
+        });
+    });
+});
+
+describe('Report.dismissOpen', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    test('closes the report with no action', async () => {
+        const update = jest.spyOn(Report, 'findOneAndUpdate').mockResolvedValue({});
+
+        await Report.dismissOpen('report-1', 'admin-1');
+
+        expect(update.mock.calls[0][1]).toMatchObject({ status: 'dismissed', action: 'no_action' });
+    });
+});
+
+describe('Report.reopen', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    test('puts a resolved report back under review', async () => {
+        const update = jest.spyOn(Report, 'findOneAndUpdate').mockResolvedValue({});
+
+        await Report.reopen('report-1');
+
+        const [filter, change] = update.mock.calls[0];
+        expect(filter).toEqual({ _id: 'report-1', status: 'resolved' });
+        expect(change).toMatchObject({ status: 'investigating', action: 'no_action' });
+    });
+});
+
+describe('report.resolve and report.dismiss', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    test('close the report through the atomic statics', async () => {
+        const report = new Report();
+        const resolveOpen = jest.spyOn(Report, 'resolveOpen').mockResolvedValue(report);
+        const dismissOpen = jest.spyOn(Report, 'dismissOpen').mockResolvedValue(null);
+
+        expect(await report.resolve('admin-1', 'warning', 'notes')).toBe(report);
+        expect(resolveOpen).toHaveBeenCalledWith(report._id, 'admin-1', 'warning', 'notes');
+
+        expect(await report.dismiss('admin-1', 'notes')).toBeNull();
+        expect(dismissOpen).toHaveBeenCalledWith(report._id, 'admin-1', 'notes');
+    });
+});
@@ -0,0 +1,52 @@
+const express = require('express');
+const request = require('supertest');
+const User = require('../../models/User');
+const Match = require('../../models/Match');
+const Swipe = require('../../models/Swipe');
+
+const mockViewer = new User({ name: 'Alex' });
+
+jest.mock('../../middleware/auth', () => ({
+    protectUser: (req, res, next) => {
+        req.user = mockViewer;
+        next();
+    }
+}));
+
+const discoveryRoutes = require('../../routes/discovery');
+
+const app = express();
+app.use(express.json());
+app.use('/api/discovery', discoveryRoutes);
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('POST /api/discovery/dislike', () => {
+    const target = new User({ name: 'Sam' });
+
+    beforeEach(() => {
+        jest.spyOn(User, 'findById').mockResolvedValue(target);
+    });
+
+    test('records a pass', async () => {
+        jest.spyOn(Match, 'exists').mockResolvedValue(null);
+        const pass = jest.spyOn(Swipe, 'findOneAndUpdate').mockResolvedValue({ expiresAt: new Date() });
+
+        const res = await request(app).post('/api/discovery/dislike').send({ targetUserId: target._id.toString() });
+
+        expect(res.status).toBe(200);
+        expect(pass).toHaveBeenCalled();
+    });
+
+    test('refuses to pass someone the user is matched with', async () => {
+        const exists = jest.spyOn(Match, 'exists').mockResolvedValue({ _id: 'match' });
+        const pass = jest.spyOn(Swipe, 'findOneAndUpdate');
+
+        const res = await request(app).post('/api/discovery/dislike').send({ targetUserId: target._id.toString() });
+
+        expect(res.status).toBe(409);
+        expect(res.body.code).toBe('ALREADY_MATCHED');
+        expect(exists).toHaveBeenCalledWith({ pairKey: Match.pairKey(mockViewer._id, target._id), isActive: true });
+        expect(pass).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const express = require('express');
+const request = require('supertest');
+const User = require('../../models/User');
+const Match = require('../../models/Match');
+
+const mockViewer = new User({ name: 'Alex' });
+const other = new User({ name: 'Sam', lastActive: new Date() });
+
+jest.mock('../../middleware/auth', () => ({
+    protectUser: (req, res, next) => {
+        req.user = mockViewer;
+        next();
+    }
+}));
+
+const matchRoutes = require('../../routes/matches');
+
+const app = express();
+app.use('/api/matches', matchRoutes);
+
+const stubMatch = (fields) => {
+    const match = new Match({ users: [mockViewer._id, other._id], ...fields });
+    jest.spyOn(Match, 'findById').mockResolvedValue(match);
+    jest.spyOn(User, 'findById').mockReturnValue({ select: () => Promise.resolve(other) });
+    return match;
+};
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('GET /api/matches/:matchId', () => {
+    test('shows the other user with presence for an active match', async () => {
+        const match = stubMatch({ isActive: true });
+
+        const res = await request(app).get(`/api/matches/${match._id}`);
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.match.otherUser.name).toBe('Sam');
+        expect(res.body.data.match.otherUser.presence).toBeDefined();
+    });
+
+    test('does not show an ended match', async () => {
+        const match = stubMatch({ isActive: false });
+
+        const res = await request(app).get(`/api/matches/${match._id}`);
+
+        expect(res.status).toBe(404);
+        expect(res.body.data).toBeUndefined();
+        expect(User.findById).not.toHaveBeenCalled();
+    });
+
+    test('does not show other people\'s matches', async () => {
+        const match = stubMatch({ isActive: true, users: [other._id, new mongoose.Types.ObjectId()] });
+
+        const res = await request(app).get(`/api/matches/${match._id}`);
+
+        expect(res.status).toBe(403);
+    });
+});
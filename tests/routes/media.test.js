@@ -0,0 +1,68 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const { setStorage, createLocalStorage } = require('../../services/storage');
+const mediaRoutes = require('../../routes/media');
+
+describe('GET /api/media/*', () => {
+    let root;
+    let storage;
+    let app;
+
+    beforeEach(async () => {
+        root = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'media-route-test-'));
+        storage = createLocalStorage({ root, secret: 'test-secret' });
+        setStorage(storage);
+
+        await storage.put('chat/match-1/secret.jpg', Buffer.from('private'), { isPublic: false });
+        await storage.put('public/photos/user-1/photo.jpg', Buffer.from('public'), { isPublic: true });
+
+        app = express();
+        app.use('/api/media', mediaRoutes);
+    });
+
+    afterEach(async () => {
+        setStorage(null);
+        await fs.promises.rm(root, { recursive: true, force: true });
+    });
+
+    test('serves public objects without a signature', async () => {
+        const res = await request(app).get('/api/media/public/photos/user-1/photo.jpg');
+
+        expect(res.status).toBe(200);
+        expect(res.body.toString()).toBe('public');
+    });
+
+    test('requires a signature for private objects', async () => {
+        const res = await request(app).get('/api/media/chat/match-1/secret.jpg');
+
+        expect(res.status).toBe(403);
+    });
+
+    test('serves private objects through a signed URL', async () => {
+        const url = new URL(await storage.getSignedUrl('chat/match-1/secret.jpg', { expiresIn: 60 }), 'http://localhost');
+
+        const res = await request(app).get(`${url.pathname}${url.search}`);
+
+        expect(res.status).toBe(200);
+        expect(res.body.toString()).toBe('private');
+    });
+
+    test.each([
+        '/api/media/public/../chat/match-1/secret.jpg',
+        '/api/media/public/%2e%2e/chat/match-1/secret.jpg',
+        '/api/media/public/%2E%2E/chat/match-1/secret.jpg',
+        '/api/media/public/photos/%2e%2e/%2e%2e/chat/match-1/secret.jpg',
+        '/api/media/public/./photos/user-1/photo.jpg',
+        '/api/media/public//photos/user-1/photo.jpg',
+        '/api/media/public%2f..%2fchat/match-1/secret.jpg',
+        '/api/media/public/..%5cchat/match-1/secret.jpg'
+    ])('rejects traversal in %s', async (url) => {
+        const res = await request(app).get(url);
+
+        expect(res.status).toBe(400);
+        expect(res.body.toString()).not.toBe('private');
+    });
+});
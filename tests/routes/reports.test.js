@@ -0,0 +1,59 @@
+jest.mock('../../middleware/auth', () => ({
+    protectUser: (req, res, next) => next(),
+    protectAdmin: (req, res, next) => {
+        req.admin = { _id: 'admin-1' };
+        next();
+    },
+    checkPermission: () => (req, res, next) => next()
+}));
+jest.mock('../../services/moderation');
+jest.mock('../../services/notifications');
+
+const mongoose = require('mongoose');
+const express = require('express');
+const request = require('supertest');
+const Report = require('../../models/Report');
+const { applyReportAction } = require('../../services/moderation');
+const { notifyReportOutcome } = require('../../services/notifications');
+const reportRoutes = require('../../routes/reports');
+
+const app = express();
+app.use(express.json());
+app.use('/api/reports', reportRoutes);
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+});
+
+describe('PUT /api/reports/:id/resolve', () => {
+    const reportId = new mongoose.Types.ObjectId();
+    const resolved = new Report({ _id: reportId, status: 'resolved', action: 'temporary_ban' });
+
+    test('applies the action of the report it closed', async () => {
+        jest.spyOn(Report, 'resolveOpen').mockResolvedValue(resolved);
+
+        const res = await request(app)
+            .put(`/api/reports/${reportId}/resolve`)
+            .send({ action: 'temporary_ban', durationDays: 3 });
+
+        expect(res.status).toBe(200);
+        expect(applyReportAction).toHaveBeenCalledWith(resolved, { durationDays: 3 });
+        expect(notifyReportOutcome).toHaveBeenCalled();
+    });
+
+    test('reopens the report when its action fails', async () => {
+        jest.spyOn(Report, 'resolveOpen').mockResolvedValue(resolved);
+        const reopen = jest.spyOn(Report, 'reopen').mockResolvedValue({});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        applyReportAction.mockRejectedValue(new Error('User not found'));
+
+        const res = await request(app)
+            .put(`/api/reports/${reportId}/resolve`)
+            .send({ action: 'temporary_ban' });
+
+        expect(res.status).toBe(500);
+        expect(reopen).toHaveBeenCalledWith(reportId);
+        expect(notifyReportOutcome).not.toHaveBeenCalled();
+    });
+});
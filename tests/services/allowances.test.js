@@ -0,0 +1,123 @@
+const User = require('../../models/User');
+const { createDailyAllowance } = require('../../services/allowances');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Just enough of a query matcher for the allowance updates
+const matches = (value, condition) => {
+    if (condition === null || typeof condition !== 'object' || condition instanceof Date) {
+        return value === condition;
+    }
+    return Object.entries(condition).every(([op, operand]) => {
+        if (op === '$not') return !matches(value, operand);
+        if (value === undefined || value === null) return false;
+        if (op === '$gt') return value > operand;
+        if (op === '$lt') return value < operand;
+        if (op === '$lte') return value <= operand;
+        throw new Error(`Unsupported operator ${op}`);
+    });
+};
+
+// Keep the user in memory and apply updates to it as the database would
+const storeUser = (user) => {
+    const apply = (filter, update) => {
+        const found = Object.entries(filter).every(([path, condition]) =>
+            path === '_id' || matches(user.get(path), condition));
+        if (!found) return null;
+
+        Object.entries(update.$set || {}).forEach(([path, value]) => user.set(path, value));
+        Object.entries(update.$inc || {}).forEach(([path, by]) => user.set(path, (user.get(path) || 0) + by));
+        return user;
+    };
+
+    jest.spyOn(User, 'findOneAndUpdate').mockImplementation((filter, update) => ({
+        select: async () => apply(filter, update)
+    }));
+    jest.spyOn(User, 'updateOne').mockImplementation(async (filter, update) => ({
+        modifiedCount: apply(filter, update) ? 1 : 0
+    }));
+
+    return user;
+};
+
+const allowance = createDailyAllowance('superLikes', { free: 2, premium: null });
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('createDailyAllowance', () => {
+    test('counts uses until the local midnight', async () => {
+        const user = storeUser(new User({ timezone: 'Asia/Kolkata' }));
+        const now = new Date('2024-03-10T10:00:00Z');
+
+        expect(await allowance.consume(user, now)).toBe(true);
+        expect(await allowance.consume(user, now)).toBe(true);
+        expect(await allowance.consume(user, now)).toBe(false);
+
+        // Midnight in Kolkata is 18:30 UTC
+        expect(allowance.getAllowance(user, now)).toEqual({
+            limit: 2,
+            used: 2,
+            remaining: 0,
+            resetsAt: new Date('2024-03-10T18:30:00Z')
+        });
+
+        const nextDay = new Date('2024-03-10T18:30:00Z');
+        expect(allowance.getAllowance(user, nextDay).used).toBe(0);
+        expect(await allowance.consume(user, nextDay)).toBe(true);
+    });
+
+    test('changing time zone does not reset the count', async () => {
+        // 23:00 in Honolulu is already the next day in Kiritimati
+        const user = storeUser(new User({ timezone: 'Pacific/Honolulu' }));
+        const now = new Date('2024-03-10T09:00:00Z');
+
+        await allowance.consume(user, now);
+        await allowance.consume(user, now);
+
+        user.timezone = 'Pacific/Kiritimati';
+
+        expect(allowance.getAllowance(user, now).remaining).toBe(0);
+        expect(await allowance.consume(user, now)).toBe(false);
+    });
+
+    test('a time zone with an earlier midnight does not shorten the next day', async () => {
+        const user = storeUser(new User({ timezone: 'Pacific/Honolulu' }));
+        const lastMinute = new Date('2024-03-10T09:59:00Z');
+
+        await allowance.consume(user, lastMinute);
+        await allowance.consume(user, lastMinute);
+
+        // Midnight in Honolulu ends the window; move to where it is nearly midnight
+        const afterReset = new Date('2024-03-10T10:00:00Z');
+        user.timezone = 'Asia/Tokyo';
+
+        expect(await allowance.consume(user, afterReset)).toBe(true);
+        expect(allowance.getAllowance(user, afterReset).resetsAt)
+            .toEqual(new Date(afterReset.getTime() + 23 * HOUR_MS));
+    });
+
+    test('refunds only what was taken from the current window', async () => {
+        const user = storeUser(new User());
+        const yesterday = new Date('2024-03-09T12:00:00Z');
+        const today = new Date('2024-03-10T12:00:00Z');
+
+        await allowance.consume(user, yesterday);
+        await allowance.consume(user, today);
+
+        await allowance.refund(user, yesterday, today);
+        expect(allowance.getAllowance(user, today).used).toBe(1);
+
+        await allowance.refund(user, today, today);
+        expect(allowance.getAllowance(user, today).used).toBe(0);
+    });
+
+    test('premium is unlimited', async () => {
+        const user = storeUser(new User({ isPremium: true }));
+        const now = new Date('2024-03-10T12:00:00Z');
+
+        for (let i = 0; i < 5; i++) {
+            expect(await allowance.consume(user, now)).toBe(true);
+        }
+        expect(allowance.getAllowance(user, now)).toMatchObject({ limit: null, used: 5, remaining: null });
+    });
+});
@@ -0,0 +1,125 @@
+jest.mock('../../services/discovery');
+jest.mock('../../services/ranking');
+
+const mongoose = require('mongoose');
+const DeckSession = require('../../models/DeckSession');
+const User = require('../../models/User');
+const { findCandidates } = require('../../services/discovery');
+const { recordExposure } = require('../../services/ranking');
+const { getDeckBatch } = require('../../services/deck');
+
+// Let other pending requests run, as a database round trip would
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+// Sessions kept in memory; the batch claim behaves like the conditional update
+const storeSessions = () => {
+    const sessions = new Map();
+
+    jest.spyOn(DeckSession, 'create').mockImplementation(async (fields) => {
+        const session = new DeckSession(fields);
+        sessions.set(session._id.toString(), session);
+        return session;
+    });
+    jest.spyOn(DeckSession, 'findOne').mockImplementation(async ({ _id, user }) => {
+        await tick();
+        const session = sessions.get(_id.toString());
+        return session && session.user.equals(user) ? new DeckSession(session.toObject()) : null;
+    });
+    jest.spyOn(DeckSession, 'findOneAndUpdate').mockImplementation(async ({ _id, batches }, update) => {
+        await tick();
+        const session = sessions.get(_id.toString());
+        if (!session || session.batches !== batches) return null;
+
+        session.served.push(...update.$push.served.$each);
+        session.batches += update.$inc.batches;
+        session.expiresAt = update.$set.expiresAt;
+        return new DeckSession(session.toObject());
+    });
+
+    return sessions;
+};
+
+// A deck of `count` candidates; each call serves the ones not excluded
+const deckOf = (count) => {
+    const ids = Array.from({ length: count }, () => new mongoose.Types.ObjectId());
+
+    findCandidates.mockImplementation(async (viewer, { limit, excludeIds }) => {
+        await tick();
+        const excluded = new Set(excludeIds.map(String));
+        return ids.filter(id => !excluded.has(id.toString()))
+            .slice(0, limit)
+            .map(_id => ({ _id }));
+    });
+
+    return ids;
+};
+
+const viewer = new User({ name: 'Alex' });
+
+beforeEach(() => {
+    jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+});
+
+describe('getDeckBatch', () => {
+    test('pages through the deck with cursors without repeating cards', async () => {
+        storeSessions();
+        const ids = deckOf(5);
+
+        const first = await getDeckBatch(viewer, { limit: 2 });
+        const second = await getDeckBatch(viewer, { limit: 2, cursor: first.cursor });
+        const third = await getDeckBatch(viewer, { limit: 2, cursor: second.cursor });
+
+        const served = [first, second, third].flatMap(batch => batch.users.map(user => user._id));
+        expect(served).toEqual(ids);
+        expect([first.hasMore, second.hasMore, third.hasMore]).toEqual([true, true, false]);
+        expect(third.cursor).toBeNull();
+        expect(recordExposure.mock.calls.map(([userIds]) => userIds)).toEqual([ids.slice(0, 2), ids.slice(2, 4), ids.slice(4)]);
+    });
+
+    test('lets only one of two requests with the same cursor through', async () => {
+        storeSessions();
+        deckOf(10);
+        const first = await getDeckBatch(viewer, { limit: 2 });
+        recordExposure.mockClear();
+
+        const results = await Promise.allSettled([
+            getDeckBatch(viewer, { limit: 2, cursor: first.cursor }),
+            getDeckBatch(viewer, { limit: 2, cursor: first.cursor })
+        ]);
+
+        const won = results.filter(result => result.status === 'fulfilled');
+        const lost = results.filter(result => result.status === 'rejected');
+        expect(won).toHaveLength(1);
+        expect(lost[0].reason).toMatchObject({ status: 409, code: 'DECK_CURSOR_USED' });
+
+        // Exposure is only counted for the cards that were returned
+        expect(recordExposure).toHaveBeenCalledTimes(1);
+        expect(recordExposure).toHaveBeenCalledWith(won[0].value.users.map(user => user._id));
+    });
+
+    test('rejects a cursor that was already used', async () => {
+        storeSessions();
+        deckOf(10);
+        const first = await getDeckBatch(viewer, { limit: 2 });
+        await getDeckBatch(viewer, { limit: 2, cursor: first.cursor });
+
+        await expect(getDeckBatch(viewer, { limit: 2, cursor: first.cursor }))
+            .rejects.toMatchObject({ status: 409, code: 'DECK_CURSOR_USED' });
+    });
+
+    test('rejects another user\'s cursor and malformed cursors', async () => {
+        storeSessions();
+        deckOf(10);
+        const first = await getDeckBatch(viewer, { limit: 2 });
+
+        await expect(getDeckBatch(new User({ name: 'Sam' }), { cursor: first.cursor }))
+            .rejects.toMatchObject({ status: 410, code: 'DECK_SESSION_EXPIRED' });
+        await expect(getDeckBatch(viewer, { cursor: 'not-a-cursor' }))
+            .rejects.toMatchObject({ status: 400 });
+    });
+});
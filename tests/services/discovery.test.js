@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const User = require('../../models/User');
+const Swipe = require('../../models/Swipe');
+const { findCandidates } = require('../../services/discovery');
+
+const viewer = new User({
+    name: 'Alex',
+    dob: new Date('1995-05-05'),
+    location: { type: 'Point', coordinates: [13.405, 52.52] }
+});
+const swipedId = new mongoose.Types.ObjectId();
+const superLikerId = new mongoose.Types.ObjectId();
+
+const candidate = (fields) => ({
+    _id: new mongoose.Types.ObjectId(),
+    name: 'Sam',
+    dob: new Date('1996-01-01'),
+    photos: [],
+    lastActive: new Date(),
+    ...fields
+});
+
+const stubSwipes = () => jest.spyOn(Swipe, 'distinct').mockImplementation(async (field) => (
+    field === 'target' ? [swipedId] : [superLikerId]
+));
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('findCandidates', () => {
+    test('cuts every location search off before anything else runs', async () => {
+        stubSwipes();
+        const aggregate = jest.spyOn(User, 'aggregate').mockResolvedValue([]);
+
+        await findCandidates(viewer);
+
+        const [pipeline] = aggregate.mock.calls[0];
+        const searches = [
+            pipeline.filter(stage => !stage.$unionWith),
+            ...pipeline.filter(stage => stage.$unionWith).map(stage => stage.$unionWith.pipeline)
+        ];
+
+        // Home and travel searches, for everyone and for the super liker
+        expect(searches).toHaveLength(4);
+        searches.forEach(search => {
+            expect(Object.keys(search[0])).toEqual(['$geoNear']);
+            expect(search[1].$match.$expr).toBeDefined();
+            expect(search[2]).toEqual({ $limit: expect.any(Number) });
+            expect(JSON.stringify(search)).not.toContain('$lookup');
+            expect(search[0].$geoNear.query._id.$nin).toEqual(expect.arrayContaining([viewer._id, swipedId]));
+        });
+        expect(searches[2][0].$geoNear.query._id.$in).toEqual([superLikerId]);
+    });
+
+    test('puts super likers first, once each, and serves up to the limit', async () => {
+        stubSwipes();
+        const near = candidate({ distance: 100 });
+        const superLiker = candidate({ _id: superLikerId, distance: 40000 });
+        const others = Array.from({ length: 5 }, (_, i) => candidate({ distance: 1000 * (i + 1) }));
+        jest.spyOn(User, 'aggregate').mockResolvedValue([near, superLiker, ...others, superLiker]);
+
+        const cards = await findCandidates(viewer, { limit: 3 });
+
+        expect(cards).toHaveLength(3);
+        expect(cards[0]).toMatchObject({ _id: superLikerId, superLikedYou: true });
+        expect(cards.filter(card => card._id.equals(superLikerId))).toHaveLength(1);
+        expect(cards[1]._id).toEqual(near._id);
+    });
+});
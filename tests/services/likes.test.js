@@ -0,0 +1,151 @@
+jest.mock('../../services/notifications');
+jest.mock('../../socket/emitter');
+
+const User = require('../../models/User');
+const Swipe = require('../../models/Swipe');
+const Match = require('../../models/Match');
+const { LIKE_TYPES } = require('../../services/swipes');
+const { notifyMatch } = require('../../services/notifications');
+const { toProfileCard, likeUser } = require('../../services/likes');
+
+// Let other pending requests run, as a database round trip would
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+// In-memory swipes and matches behaving like the unique indexes
+const createStore = () => {
+    const swipes = new Map();
+    const matches = [];
+    const key = (actor, target) => `${actor}:${target}`;
+    const findLike = ({ actor, target }) => {
+        const swipe = swipes.get(key(actor, target));
+        return swipe && LIKE_TYPES.includes(swipe.type) ? swipe : null;
+    };
+
+    jest.spyOn(Swipe, 'findOneAndUpdate').mockImplementation(async ({ actor, target }, update) => {
+        await tick();
+        if (findLike({ actor, target })) {
+            throw Object.assign(new Error('duplicate key'), { code: 11000 });
+        }
+        const swipe = { actor, target, type: update.$set.type, updatedAt: new Date() };
+        swipes.set(key(actor, target), swipe);
+        return swipe;
+    });
+    jest.spyOn(Swipe, 'exists').mockImplementation(async (query) => {
+        await tick();
+        return findLike(query) ? { _id: 'swipe' } : null;
+    });
+    jest.spyOn(Swipe, 'findOne').mockImplementation(async (query) => {
+        await tick();
+        return findLike(query);
+    });
+
+    jest.spyOn(Match, 'findOneAndUpdate').mockImplementation(async ({ pairKey }, update) => {
+        await tick();
+        const existing = matches.find(match => match.pairKey === pairKey && match.isActive);
+        if (existing) {
+            return { value: existing, lastErrorObject: { updatedExisting: true } };
+        }
+        const match = { pairKey, isActive: true, createdAt: new Date(), ...update.$setOnInsert };
+        matches.push(match);
+        return { value: match, lastErrorObject: { updatedExisting: false } };
+    });
+    jest.spyOn(Match, 'findOne').mockImplementation(({ pairKey }) => ({
+        sort: async () => {
+            await tick();
+            return matches.filter(match => match.pairKey === pairKey).pop() || null;
+        }
+    }));
+
+    return { swipes, matches };
+};
+
+const alex = new User({ name: 'Alex' });
+const sam = new User({ name: 'Sam' });
+
+beforeEach(() => {
+    jest.spyOn(User, 'findById').mockImplementation(async (id) => [alex, sam].find(user => user._id.equals(id)));
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+});
+
+describe('likeUser', () => {
+    test('simultaneous mutual likes create exactly one match', async () => {
+        const { matches } = createStore();
+
+        const results = await Promise.all([
+            likeUser(alex, sam._id),
+            likeUser(sam, alex._id)
+        ]);
+
+        expect(matches).toHaveLength(1);
+        expect(results.some(result => result.isMatch)).toBe(true);
+        results.filter(result => result.isMatch)
+            .forEach(result => expect(result.match).toBe(matches[0]));
+        expect(notifyMatch).toHaveBeenCalledTimes(1);
+    });
+
+    test('liking again creates a match that failed to be created', async () => {
+        const { matches } = createStore();
+
+        await likeUser(alex, sam._id);
+        Match.findOneAndUpdate.mockRejectedValueOnce(new Error('connection lost'));
+        await expect(likeUser(sam, alex._id)).rejects.toThrow('connection lost');
+        expect(matches).toHaveLength(0);
+
+        const result = await likeUser(sam, alex._id);
+
+        expect(result.isMatch).toBe(true);
+        expect(matches).toHaveLength(1);
+        expect(notifyMatch).toHaveBeenCalledTimes(1);
+    });
+
+    test('does not match an unmatched pair again', async () => {
+        const { matches } = createStore();
+
+        await likeUser(alex, sam._id);
+        await likeUser(sam, alex._id);
+        matches[0].isActive = false;
+
+        await expect(likeUser(sam, alex._id)).rejects.toMatchObject({
+            status: 400,
+            message: 'Already liked this user'
+        });
+        expect(matches).toHaveLength(1);
+    });
+
+    test('a one-sided like is still rejected as a duplicate', async () => {
+        createStore();
+
+        await likeUser(alex, sam._id);
+
+        await expect(likeUser(alex, sam._id)).rejects.toMatchObject({ status: 400 });
+    });
+});
+
+describe('toProfileCard', () => {
+    test('shows only approved photos and public details', () => {
+        const user = new User({
+            name: 'Sam',
+            bio: 'Hi',
+            isPremium: true,
+            timezone: 'Asia/Kolkata',
+            photos: [
+                { url: 'https://cdn/public/a.jpg', key: 'public/a.jpg', status: 'approved', order: 1 },
+                { key: 'photos/b.jpg', blurredKey: 'blurred/b.jpg', status: 'pending', order: 0 },
+                { key: 'photos/c.jpg', status: 'rejected', rejectionReason: 'Blurry', order: 2 }
+            ]
+        });
+
+        const card = toProfileCard(user);
+
+        expect(Object.keys(card).sort()).toEqual(
+            ['_id', 'age', 'bio', 'interests', 'isVerified', 'name', 'photos', 'primaryPhoto', 'visiting']
+        );
+        expect(card.photos.map(photo => photo.url)).toEqual(['https://cdn/public/a.jpg']);
+        expect(card.primaryPhoto.url).toBe('https://cdn/public/a.jpg');
+        expect(JSON.stringify(card)).not.toMatch(/photos\/|blurred|Blurry/);
+    });
+});
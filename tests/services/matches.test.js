@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const Match = require('../../models/Match');
+const { getMatchedUsers, countMatchedUsers } = require('../../services/matches');
+
+const viewerId = new mongoose.Types.ObjectId();
+const otherId = new mongoose.Types.ObjectId();
+
+const lookupMatch = (stages) => stages.find(stage => stage.$lookup).$lookup.pipeline[0].$match;
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('getMatchedUsers', () => {
+    test('filters blocked and inactive users before paging', async () => {
+        const aggregate = jest.spyOn(Match, 'aggregate').mockResolvedValue([]);
+
+        await getMatchedUsers(viewerId, 'name photos', { skip: 20, limit: 10 });
+
+        const stages = aggregate.mock.calls[0][0];
+        expect(lookupMatch(stages)).toMatchObject({
+            isActive: true,
+            isBlocked: false,
+            blocked: { $ne: viewerId },
+            blockedBy: { $ne: viewerId }
+        });
+
+        const unwindAt = stages.findIndex(stage => stage.$unwind);
+        const skipAt = stages.findIndex(stage => stage.$skip !== undefined);
+        expect(unwindAt).toBeLessThan(skipAt);
+        expect(stages[skipAt].$skip).toBe(20);
+        expect(stages[skipAt + 1]).toEqual({ $limit: 10 });
+    });
+
+    test('returns only the selected fields of the other user', async () => {
+        const matchId = new mongoose.Types.ObjectId();
+        jest.spyOn(Match, 'aggregate').mockResolvedValue([{
+            _id: matchId,
+            users: [viewerId, otherId],
+            otherUser: { _id: otherId, name: 'Sam', photos: [] }
+        }]);
+
+        const [{ match, user }] = await getMatchedUsers(viewerId, 'name photos');
+
+        expect(match._id).toEqual(matchId);
+        expect(user._id).toEqual(otherId);
+        expect(user.name).toBe('Sam');
+        expect(user.lastActive).toBeUndefined();
+    });
+});
+
+describe('countMatchedUsers', () => {
+    test('counts with the same filters as the list', async () => {
+        const aggregate = jest.spyOn(Match, 'aggregate').mockResolvedValue([{ count: 3 }]);
+
+        expect(await countMatchedUsers(viewerId)).toBe(3);
+        expect(lookupMatch(aggregate.mock.calls[0][0])).toMatchObject({
+            blocked: { $ne: viewerId },
+            blockedBy: { $ne: viewerId }
+        });
+    });
+
+    test('is zero when nothing matches', async () => {
+        jest.spyOn(Match, 'aggregate').mockResolvedValue([]);
+        expect(await countMatchedUsers(viewerId)).toBe(0);
+    });
+});
@@ -0,0 +1,65 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { setStorage, createLocalStorage } = require('../../services/storage');
+const { storeChatMedia, getMediaUrl, MEDIA_URL_TTL_SECONDS } = require('../../services/media');
+
+const image = (format) => sharp({
+    create: { width: 40, height: 30, channels: 3, background: '#3366cc' }
+})[format]().toBuffer();
+
+describe('chat media on local storage', () => {
+    let root;
+    let storage;
+
+    beforeEach(async () => {
+        root = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'media-test-'));
+        storage = createLocalStorage({ root, baseUrl: 'http://localhost', secret: 'test-secret' });
+        setStorage(storage);
+    });
+
+    afterEach(async () => {
+        setStorage(null);
+        await fs.promises.rm(root, { recursive: true, force: true });
+    });
+
+    test('stores an image under the match with its real metadata', async () => {
+        const buffer = await image('png');
+
+        const attachment = await storeChatMedia('match-1', { buffer, mimetype: 'image/jpeg' });
+
+        expect(attachment).toMatchObject({
+            contentType: 'image/png',
+            size: buffer.length,
+            width: 40,
+            height: 30
+        });
+        expect(attachment.key).toMatch(/^chat\/match-1\/[0-9a-f]{32}\.png$/);
+        expect(fs.existsSync(path.join(root, attachment.key))).toBe(true);
+    });
+
+    test('rejects files that are not images', async () => {
+        await expect(storeChatMedia('match-1', { buffer: Buffer.from('not an image') }))
+            .rejects.toMatchObject({ status: 400 });
+    });
+
+    test('hands out expiring signed URLs that only verify for their key', async () => {
+        const { key } = await storeChatMedia('match-1', { buffer: await image('jpeg') });
+
+        const url = new URL(await getMediaUrl(key));
+        const expires = url.searchParams.get('expires');
+        const signature = url.searchParams.get('signature');
+
+        expect(url.pathname).toBe(`/api/media/${key}`);
+        expect(parseInt(expires)).toBeLessThanOrEqual(Math.floor(Date.now() / 1000) + MEDIA_URL_TTL_SECONDS);
+        expect(storage.verifySignature(key, expires, signature)).toBe(true);
+        expect(storage.verifySignature('chat/match-2/other.jpg', expires, signature)).toBe(false);
+        expect(storage.verifySignature(key, String(Math.floor(Date.now() / 1000) - 1), signature)).toBe(false);
+    });
+
+    test('refuses to store private objects under public/', async () => {
+        await expect(storage.put('public/photo.jpg', Buffer.from('x'), { isPublic: false }))
+            .rejects.toThrow('Public objects must be stored under public/');
+    });
+});
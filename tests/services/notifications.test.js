@@ -0,0 +1,56 @@
+jest.mock('../../services/push', () => ({ sendPush: jest.fn().mockResolvedValue() }));
+
+const mongoose = require('mongoose');
+const Notification = require('../../models/Notification');
+const { notifyLike, notifyMessage } = require('../../services/notifications');
+
+const userId = new mongoose.Types.ObjectId();
+const match = { _id: new mongoose.Types.ObjectId() };
+const duplicateKey = () => Object.assign(new Error('duplicate key'), { code: 11000 });
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('unread notification upserts', () => {
+    test('are backed by partial unique indexes on their filters', () => {
+        const unique = Notification.schema.indexes()
+            .filter(([, options]) => options.unique)
+            .map(([fields, options]) => ({ fields, filter: options.partialFilterExpression }));
+
+        expect(unique).toEqual(expect.arrayContaining([
+            { fields: { user: 1, type: 1 }, filter: { type: 'like_received', isRead: false } },
+            { fields: { user: 1, 'data.matchId': 1 }, filter: { type: 'new_message', isRead: false } }
+        ]));
+    });
+
+    test('fold into the entry a concurrent upsert inserted', async () => {
+        const existing = { _id: 'notification-1', user: userId, count: 2 };
+        const upsert = jest.spyOn(Notification, 'findOneAndUpdate')
+            .mockRejectedValueOnce(duplicateKey())
+            .mockResolvedValueOnce(existing);
+
+        expect(await notifyLike(userId)).toBe(existing);
+        expect(upsert).toHaveBeenCalledTimes(2);
+        expect(upsert.mock.calls[1][0]).toEqual({ user: userId, type: 'like_received', isRead: false });
+    });
+
+    test('fold messages per match', async () => {
+        const upsert = jest.spyOn(Notification, 'findOneAndUpdate').mockResolvedValue({ user: userId });
+
+        await notifyMessage(userId, match, { name: 'Sam' }, { _id: 'message-1', messageType: 'text', message: 'Hi' });
+
+        expect(upsert.mock.calls[0][0]).toEqual({
+            user: userId,
+            type: 'new_message',
+            isRead: false,
+            'data.matchId': match._id
+        });
+    });
+
+    test('give up quietly on other errors', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const upsert = jest.spyOn(Notification, 'findOneAndUpdate').mockRejectedValue(new Error('connection lost'));
+
+        expect(await notifyLike(userId)).toBeNull();
+        expect(upsert).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,67 @@
+jest.mock('../../services/premium', () => ({
+    ...jest.requireActual('../../services/premium'),
+    completePayment: jest.fn(),
+    rollbackPremium: jest.fn(),
+    revokePremium: jest.fn()
+}));
+
+const User = require('../../models/User');
+const Payment = require('../../models/Payment');
+const PaymentEvent = require('../../models/PaymentEvent');
+const { completePayment } = require('../../services/premium');
+const { processWebhookEvent } = require('../../services/paymentWebhooks');
+
+const payment = { _id: 'payment-1', user: 'user-1', plan: 'monthly' };
+
+const eventRecord = () => ({ save: jest.fn().mockResolvedValue() });
+
+describe('processWebhookEvent', () => {
+    beforeEach(() => {
+        jest.spyOn(Payment, 'findOne').mockResolvedValue(payment);
+        jest.spyOn(User, 'findById').mockResolvedValue({ isPremium: false });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        jest.clearAllMocks();
+    });
+
+    test('a failed attempt is recorded without closing the order', async () => {
+        const record = eventRecord();
+        jest.spyOn(PaymentEvent, 'create').mockResolvedValue(record);
+        const update = jest.spyOn(Payment, 'findOneAndUpdate').mockResolvedValue(payment);
+
+        await processWebhookEvent('razorpay', { id: 'evt_1', type: 'payment.failed', orderId: 'order_1', paymentId: 'pay_1' });
+
+        const [filter, change] = update.mock.calls[0];
+        expect(filter.status).toEqual({ $in: ['created', 'failed'] });
+        expect(change).toEqual({ $push: { failedAttempts: { paymentId: 'pay_1' } } });
+        expect(change).not.toHaveProperty('status');
+        expect(record.status).toBe('processed');
+    });
+
+    test('a capture after a failed attempt still completes the payment', async () => {
+        jest.spyOn(PaymentEvent, 'create').mockResolvedValue(eventRecord());
+        completePayment.mockResolvedValue({ payment, user: { isPremium: true } });
+
+        const result = await processWebhookEvent('razorpay', { id: 'evt_2', type: 'payment.captured', orderId: 'order_1', paymentId: 'pay_2' });
+
+        expect(completePayment).toHaveBeenCalledWith(payment, 'pay_2');
+        expect(result.event.status).toBe('processed');
+    });
+
+    test('a replayed event reclaims failed or stale processing records only', async () => {
+        jest.spyOn(PaymentEvent, 'create').mockRejectedValue(Object.assign(new Error('dup'), { code: 11000 }));
+        const reclaim = jest.spyOn(PaymentEvent, 'findOneAndUpdate').mockResolvedValue(null);
+
+        const result = await processWebhookEvent('razorpay', { id: 'evt_3', type: 'payment.captured', orderId: 'order_1' });
+
+        expect(result).toEqual({ duplicate: true, event: null });
+        const [filter] = reclaim.mock.calls[0];
+        expect(filter.$or).toEqual([
+            { status: 'failed' },
+            { status: 'processing', updatedAt: { $lt: expect.any(Date) } }
+        ]);
+        expect(filter.$or[1].updatedAt.$lt.getTime()).toBeLessThan(Date.now() - 9 * 60 * 1000);
+    });
+});
@@ -0,0 +1,62 @@
+const { createFakeProvider, getPaymentProvider, setPaymentProvider } = require('../../services/payments');
+
+describe('fake payment provider', () => {
+    test('creates orders without the network', async () => {
+        const provider = createFakeProvider();
+
+        const order = await provider.createOrder({ amount: 49900, currency: 'INR', receipt: 'r1' });
+
+        expect(order).toMatchObject({ amount: 49900, currency: 'INR' });
+        expect(order.orderId).toMatch(/^order_fake_/);
+        expect(provider.orders.get(order.orderId)).toMatchObject({ receipt: 'r1' });
+    });
+
+    test('accepts only the checkout signature for the same order and payment', () => {
+        const provider = createFakeProvider();
+        const signature = provider.signPayment('order_1', 'pay_1');
+
+        expect(provider.verifyPayment({ orderId: 'order_1', paymentId: 'pay_1', signature })).toBe(true);
+        expect(provider.verifyPayment({ orderId: 'order_1', paymentId: 'pay_2', signature })).toBe(false);
+        expect(provider.verifyPayment({ orderId: 'order_1', paymentId: 'pay_1', signature: 'forged' })).toBe(false);
+    });
+
+    test('verifies webhook signatures over the raw body', () => {
+        const provider = createFakeProvider();
+        const rawBody = Buffer.from(JSON.stringify({ event: 'payment.captured' }));
+        const signature = provider.signWebhook(rawBody);
+
+        expect(provider.verifyWebhookSignature(rawBody, { 'x-razorpay-signature': signature })).toBe(true);
+        expect(provider.verifyWebhookSignature(Buffer.from('{}'), { 'x-razorpay-signature': signature })).toBe(false);
+        expect(provider.verifyWebhookSignature(rawBody, {})).toBe(false);
+        expect(provider.verifyWebhookSignature(undefined, { 'x-razorpay-signature': signature })).toBe(false);
+    });
+
+    test('parses Razorpay-format webhook events', () => {
+        const provider = createFakeProvider();
+
+        const event = provider.parseWebhookEvent({
+            event: 'payment.captured',
+            payload: {
+                payment: {
+                    entity: { id: 'pay_1', order_id: 'order_1', notes: { userId: 'user_1' } }
+                }
+            }
+        }, { 'x-razorpay-event-id': 'evt_1' });
+
+        expect(event).toEqual({
+            id: 'evt_1',
+            type: 'payment.captured',
+            orderId: 'order_1',
+            paymentId: 'pay_1',
+            userId: 'user_1'
+        });
+    });
+
+    test('can stand in for a payment method', () => {
+        const provider = createFakeProvider();
+        setPaymentProvider('razorpay', provider);
+
+        expect(getPaymentProvider('razorpay')).toBe(provider);
+        expect(getPaymentProvider('bitcoin')).toBeNull();
+    });
+});
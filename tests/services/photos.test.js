@@ -0,0 +1,127 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const mongoose = require('mongoose');
+const User = require('../../models/User');
+const { setStorage, createLocalStorage } = require('../../services/storage');
+const {
+    storePhoto,
+    approvedPhotos,
+    withApprovedPhotos,
+    approvePhoto,
+    rejectPhoto
+} = require('../../services/photos');
+
+const image = () => sharp({
+    create: { width: 60, height: 80, channels: 3, background: '#cc6633' }
+}).jpeg().toBuffer();
+
+describe('approvedPhotos', () => {
+    const photos = [
+        { _id: 'a', order: 2, status: 'approved', url: 'https://cdn/a.jpg', reviewedBy: 'admin-1', blurredUrl: 'https://cdn/blur.jpg' },
+        { _id: 'b', order: 1, status: 'pending', url: 'https://cdn/b.jpg' },
+        { _id: 'c', order: 0, status: 'rejected', url: 'https://cdn/c.jpg', rejectionReason: 'Nudity' },
+        { _id: 'd', order: 3, status: 'approved' },
+        { _id: 'e', order: 0, status: 'approved', url: 'https://cdn/e.jpg' }
+    ];
+
+    test('keeps only approved, published photos in order', () => {
+        expect(approvedPhotos(photos).map(photo => photo._id)).toEqual(['e', 'a']);
+    });
+
+    test('leaves out moderation details and the blurred copy', () => {
+        const [, photo] = approvedPhotos(photos);
+
+        expect(photo).not.toHaveProperty('reviewedBy');
+        expect(photo).not.toHaveProperty('blurredUrl');
+    });
+
+    test('withApprovedPhotos filters a profile and passes other values through', () => {
+        const id = new mongoose.Types.ObjectId();
+
+        expect(withApprovedPhotos({ name: 'Sam', photos }).photos).toHaveLength(2);
+        expect(withApprovedPhotos(null)).toBeNull();
+        expect(withApprovedPhotos(id)).toBe(id);
+    });
+});
+
+describe('photo files', () => {
+    let root;
+    let user;
+
+    // Stand-ins for the atomic updates, applied to an in-memory user
+    const mockReview = () => {
+        jest.spyOn(User, 'findOneAndUpdate').mockImplementation((filter, update) => {
+            const photo = user.photos[0];
+            Object.entries(update.$set).forEach(([field, value]) => {
+                photo[field.replace('photos.$.', '')] = value;
+            });
+            return { select: () => Promise.resolve(user) };
+        });
+        jest.spyOn(User, 'updateOne').mockImplementation(async (filter, update) => {
+            const photo = user.photos[0];
+            if (photo.status !== filter.photos.$elemMatch.status) return { matchedCount: 0 };
+
+            Object.entries(update.$set || {}).forEach(([field, value]) => {
+                photo[field.replace('photos.$.', '')] = value;
+            });
+            Object.keys(update.$unset || {}).forEach((field) => {
+                photo[field.replace('photos.$.', '')] = undefined;
+            });
+            return { matchedCount: 1 };
+        });
+    };
+
+    const exists = (key) => fs.existsSync(path.join(root, key));
+
+    beforeEach(async () => {
+        root = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'photos-test-'));
+        setStorage(createLocalStorage({ root, baseUrl: 'http://localhost', secret: 'test-secret' }));
+
+        user = new User({ name: 'Sam', photos: [] });
+        user.photos.push(await storePhoto(user._id, { buffer: await image() }));
+        mockReview();
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        setStorage(null);
+        await fs.promises.rm(root, { recursive: true, force: true });
+    });
+
+    test('new photos are stored privately without public URLs', () => {
+        const [photo] = user.photos;
+
+        expect(photo.status).toBe('pending');
+        expect(photo.url).toBeUndefined();
+        [photo.key, photo.thumbnailKey, photo.blurredKey].forEach((key) => {
+            expect(key.startsWith('public/')).toBe(false);
+            expect(exists(key)).toBe(true);
+        });
+    });
+
+    test('approving publishes the files', async () => {
+        const privateKey = user.photos[0].key;
+
+        const { photo } = await approvePhoto(user.photos[0]._id, 'admin-1');
+
+        expect(photo.key).toBe(`public/${privateKey}`);
+        expect(photo.url).toBe(`http://localhost/api/media/public/${privateKey}`);
+        expect(exists(photo.key)).toBe(true);
+        expect(exists(privateKey)).toBe(false);
+    });
+
+    test('rejecting an approved photo makes its files private again', async () => {
+        await approvePhoto(user.photos[0]._id, 'admin-1');
+        const publicKey = user.photos[0].key;
+
+        const { photo } = await rejectPhoto(user.photos[0]._id, 'admin-1', 'Not you');
+
+        expect(photo.key).toBe(publicKey.slice('public/'.length));
+        expect(photo.url).toBeUndefined();
+        expect(user.photos[0].url).toBeUndefined();
+        expect(exists(photo.key)).toBe(true);
+        expect(exists(publicKey)).toBe(false);
+    });
+});
@@ -0,0 +1,101 @@
+jest.mock('../../services/notifications');
+
+const User = require('../../models/User');
+const { activatePremium, revokePremium, rollbackPremium } = require('../../services/premium');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Let other pending requests run, as a database round trip would
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+const sameValue = (value, condition) => {
+    if (condition && condition.$ne !== undefined) return value !== condition.$ne;
+    if (condition === null) return value === undefined || value === null;
+    if (condition instanceof Date) return value instanceof Date && value.getTime() === condition.getTime();
+    return value === condition;
+};
+
+// One user kept in memory; conditional updates apply only if the filter matches
+const storeUser = (fields = {}) => {
+    let stored = new User({ name: 'Alex', ...fields }).toObject();
+
+    jest.spyOn(User, 'findById').mockImplementation(async () => {
+        await tick();
+        return User.hydrate(JSON.parse(JSON.stringify(stored)));
+    });
+    jest.spyOn(User, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+        await tick();
+        const current = User.hydrate(JSON.parse(JSON.stringify(stored)));
+        const matches = Object.entries(filter)
+            .every(([path, condition]) => path === '_id' || sameValue(current.get(path), condition));
+        if (!matches) return null;
+
+        Object.entries(update.$set || {}).forEach(([path, value]) => current.set(path, value));
+        Object.keys(update.$unset || {}).forEach(path => current.set(path, undefined));
+        stored = current.toObject();
+        return current;
+    });
+
+    return () => User.hydrate(JSON.parse(JSON.stringify(stored)));
+};
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('premium updates', () => {
+    test('two activations at once both add their time', async () => {
+        const read = storeUser();
+        const before = Date.now();
+
+        await Promise.all([
+            activatePremium('user-1', 'monthly'),
+            activatePremium('user-1', 'monthly')
+        ]);
+
+        const user = read();
+        expect(user.isPremium).toBe(true);
+        expect(user.premiumExpiresAt.getTime()).toBeGreaterThanOrEqual(before + 60 * DAY_MS);
+    });
+
+    test('a rollback racing a revoke does not bring premium back', async () => {
+        const read = storeUser({ isPremium: true, premiumPlan: 'monthly', premiumExpiresAt: new Date(Date.now() + 10 * DAY_MS) });
+
+        await Promise.all([
+            revokePremium('user-1'),
+            rollbackPremium('user-1', 'monthly')
+        ]);
+
+        const user = read();
+        expect(user.isPremium).toBe(false);
+        expect(user.premiumPlan).toBeUndefined();
+        expect(user.premiumExpiresAt.getTime()).toBeLessThanOrEqual(Date.now());
+    });
+
+    test('a lifetime plan is kept and has no expiry', async () => {
+        const read = storeUser();
+
+        await activatePremium('user-1', 'lifetime');
+        await activatePremium('user-1', 'monthly');
+
+        const user = read();
+        expect(user.premiumPlan).toBe('lifetime');
+        expect(user.premiumExpiresAt).toBeUndefined();
+        expect(user.isPremiumActive()).toBe(true);
+    });
+
+    test('a rollback takes back the refunded time and shortens the trip', async () => {
+        const expiresAt = new Date(Date.now() + 40 * DAY_MS);
+        const read = storeUser({
+            isPremium: true,
+            premiumPlan: 'monthly',
+            premiumExpiresAt: expiresAt,
+            travel: { city: 'Paris', location: { type: 'Point', coordinates: [2.35, 48.86] }, expiresAt }
+        });
+
+        await rollbackPremium('user-1', 'monthly');
+
+        const user = read();
+        expect(user.premiumExpiresAt).toEqual(new Date(expiresAt.getTime() - 30 * DAY_MS));
+        expect(user.travel.expiresAt).toEqual(user.premiumExpiresAt);
+        expect(user.isPremium).toBe(true);
+    });
+});
@@ -0,0 +1,26 @@
+const { isProfileComplete } = require('../../services/profile');
+
+const profile = (...statuses) => ({
+    name: 'Sam',
+    gender: 'female',
+    dob: new Date('1995-05-05'),
+    photos: statuses.map(status => ({ status }))
+});
+
+describe('isProfileComplete', () => {
+    test('needs an approved photo', () => {
+        expect(isProfileComplete(profile('approved'))).toBe(true);
+        expect(isProfileComplete(profile('rejected', 'approved'))).toBe(true);
+    });
+
+    test('does not count pending or rejected photos', () => {
+        expect(isProfileComplete(profile())).toBe(false);
+        expect(isProfileComplete(profile('pending'))).toBe(false);
+        expect(isProfileComplete(profile('rejected', 'pending'))).toBe(false);
+    });
+
+    test('needs the basic details', () => {
+        expect(isProfileComplete({ ...profile('approved'), name: '' })).toBe(false);
+        expect(isProfileComplete({ ...profile('approved'), dob: undefined })).toBe(false);
+    });
+});
@@ -0,0 +1,79 @@
+jest.mock('../../services/devices', () => ({
+    getDeviceTokens: jest.fn(),
+    removeDeviceTokens: jest.fn()
+}));
+
+const User = require('../../models/User');
+const { getDeviceTokens, removeDeviceTokens } = require('../../services/devices');
+const { sendPush, setPushTransport, createMemoryTransport } = require('../../services/push');
+
+const mockUser = (user) => {
+    jest.spyOn(User, 'findById').mockReturnValue({
+        select: () => Promise.resolve(user)
+    });
+};
+
+describe('sendPush', () => {
+    let transport;
+
+    beforeEach(() => {
+        transport = createMemoryTransport();
+        setPushTransport(transport);
+        getDeviceTokens.mockResolvedValue(['token-a', 'token-b']);
+        removeDeviceTokens.mockResolvedValue({});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        jest.clearAllMocks();
+    });
+
+    const notification = {
+        _id: 'notification-1',
+        type: 'new_match',
+        title: "It's a match!",
+        body: 'You matched with Sam',
+        data: { matchId: 'match-1', at: new Date('2026-01-01T00:00:00Z'), empty: null }
+    };
+
+    test('sends to every device with string-only data', async () => {
+        mockUser({ pushPreferences: { matches: true } });
+
+        const result = await sendPush('user-1', notification);
+
+        expect(result).toEqual({ sent: 2, removed: 0 });
+        expect(transport.sent.map(message => message.token)).toEqual(['token-a', 'token-b']);
+        expect(transport.sent[0].data).toEqual({
+            matchId: 'match-1',
+            at: '2026-01-01T00:00:00.000Z',
+            type: 'new_match',
+            notificationId: 'notification-1'
+        });
+    });
+
+    test('honours category opt-outs', async () => {
+        mockUser({ pushPreferences: { matches: false } });
+
+        const result = await sendPush('user-1', notification);
+
+        expect(result).toEqual({ sent: 0, skipped: 'opted_out' });
+        expect(transport.sent).toHaveLength(0);
+    });
+
+    test('skips users without devices', async () => {
+        mockUser({ pushPreferences: {} });
+        getDeviceTokens.mockResolvedValue([]);
+
+        expect(await sendPush('user-1', notification)).toEqual({ sent: 0, skipped: 'no_devices' });
+    });
+
+    test('drops tokens the transport reports as dead', async () => {
+        mockUser({ pushPreferences: {} });
+        transport.invalidTokens.add('token-b');
+
+        const result = await sendPush('user-1', notification);
+
+        expect(result).toEqual({ sent: 1, removed: 1 });
+        expect(removeDeviceTokens).toHaveBeenCalledWith('user-1', ['token-b']);
+    });
+});
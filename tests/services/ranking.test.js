@@ -0,0 +1,152 @@
+const {
+    DEFAULT_RANKING_WEIGHTS,
+    EXPOSURE_CAP,
+    getRankingWeights,
+    scoreCandidate,
+    rankCandidates
+} = require('../../services/ranking');
+
+const now = new Date('2024-03-10T12:00:00Z');
+const HOUR_MS = 60 * 60 * 1000;
+const maxDistance = 10000;
+const viewer = { interests: ['Hiking', 'jazz', 'chess'] };
+
+const noWeights = {
+    distance: 0,
+    recency: 0,
+    sharedInterests: 0,
+    completeness: 0,
+    superLike: 0,
+    exposure: 0
+};
+
+const candidate = (id, fields = {}) => ({
+    _id: id,
+    distance: 5000,
+    lastActive: now,
+    interests: [],
+    photos: [],
+    ...fields
+});
+
+const ids = (candidates) => candidates.map(c => c._id);
+
+describe('scoreCandidate', () => {
+    const score = (c, weights) => scoreCandidate(c, viewer, {
+        weights: { ...noWeights, ...weights },
+        maxDistance,
+        now
+    });
+
+    test('scales distance to the maximum distance', () => {
+        expect(score(candidate('a', { distance: 0 }), { distance: 1 })).toBe(1);
+        expect(score(candidate('a', { distance: 2500 }), { distance: 1 })).toBe(0.75);
+        expect(score(candidate('a', { distance: 20000 }), { distance: 1 })).toBe(0);
+    });
+
+    test('halves recency every 24 hours', () => {
+        expect(score(candidate('a'), { recency: 1 })).toBe(1);
+        expect(score(candidate('a', { lastActive: new Date(now - 24 * HOUR_MS) }), { recency: 1 })).toBe(0.5);
+        expect(score(candidate('a', { lastActive: new Date(now - 48 * HOUR_MS) }), { recency: 1 })).toBe(0.25);
+        expect(score(candidate('a', { lastActive: null }), { recency: 1 })).toBe(0);
+    });
+
+    test('counts shared interests case-insensitively up to three', () => {
+        expect(score(candidate('a', { interests: ['hiking '] }), { sharedInterests: 3 })).toBe(1);
+        expect(score(candidate('a', { interests: ['JAZZ', 'chess', 'hiking', 'art'] }), { sharedInterests: 1 })).toBe(1);
+    });
+
+    test('counts only approved photos towards completeness', () => {
+        const photos = [{ status: 'approved' }, { status: 'pending' }, { status: 'rejected' }];
+        expect(score(candidate('a', { photos }), { completeness: 12 })).toBe(1);
+        expect(score(candidate('a', { bio: 'Hi', isVerified: true, interests: ['art'] }), { completeness: 4 })).toBe(3);
+    });
+
+    test('penalises exposure past the daily cap, up to twice the cap', () => {
+        const exposed = (count, day = '2024-03-10') => candidate('a', { exposure: { day, count } });
+
+        expect(score(exposed(EXPOSURE_CAP), { exposure: 1 })).toBeCloseTo(0);
+        expect(score(exposed(EXPOSURE_CAP * 1.5), { exposure: 1 })).toBe(-0.5);
+        expect(score(exposed(EXPOSURE_CAP * 2), { exposure: 1 })).toBe(-1);
+        expect(score(exposed(EXPOSURE_CAP * 5), { exposure: 1 })).toBe(-1);
+        expect(score(exposed(EXPOSURE_CAP * 2, '2024-03-09'), { exposure: 1 })).toBe(0);
+    });
+});
+
+describe('rankCandidates', () => {
+    const rank = (candidates, weights = DEFAULT_RANKING_WEIGHTS) => ids(
+        rankCandidates(candidates, viewer, { weights, maxDistance, now })
+    );
+
+    test('orders by score with the default weights', () => {
+        const candidates = [
+            candidate('far-idle', { distance: 9000, lastActive: new Date(now - 72 * HOUR_MS) }),
+            candidate('near-active', { distance: 500 }),
+            candidate('mid-shared', { distance: 4000, interests: ['hiking', 'jazz', 'chess'] })
+        ];
+
+        expect(rank(candidates)).toEqual(['mid-shared', 'near-active', 'far-idle']);
+    });
+
+    test('is deterministic and breaks ties by distance then id', () => {
+        const candidates = [
+            candidate('c', { distance: 3000 }),
+            candidate('b', { distance: 1000 }),
+            candidate('a', { distance: 3000 })
+        ];
+
+        expect(rank(candidates, noWeights)).toEqual(['b', 'a', 'c']);
+        expect(rank([...candidates].reverse(), noWeights)).toEqual(['b', 'a', 'c']);
+    });
+
+    test('puts the rewound profile first and super likers next', () => {
+        const candidates = [
+            candidate('near', { distance: 0 }),
+            candidate('super', { distance: 9000, superLikedYou: true }),
+            candidate('rewound', { distance: 9000, isRewound: true })
+        ];
+
+        expect(rank(candidates)).toEqual(['rewound', 'super', 'near']);
+    });
+
+    test('moves overexposed profiles below similar ones', () => {
+        const candidates = [
+            candidate('popular', { distance: 1000, exposure: { day: '2024-03-10', count: EXPOSURE_CAP * 2 } }),
+            candidate('fresh', { distance: 1500 })
+        ];
+
+        expect(rank(candidates)).toEqual(['fresh', 'popular']);
+        expect(rank(candidates, { ...DEFAULT_RANKING_WEIGHTS, exposure: 0 })).toEqual(['popular', 'fresh']);
+    });
+
+    test('does not change the candidates it is given', () => {
+        const candidates = [candidate('b', { distance: 2000 }), candidate('a', { distance: 1000 })];
+
+        rank(candidates);
+
+        expect(ids(candidates)).toEqual(['b', 'a']);
+    });
+});
+
+describe('getRankingWeights', () => {
+    const original = process.env.DISCOVERY_RANKING_WEIGHTS;
+
+    afterEach(() => {
+        if (original === undefined) delete process.env.DISCOVERY_RANKING_WEIGHTS;
+        else process.env.DISCOVERY_RANKING_WEIGHTS = original;
+        jest.restoreAllMocks();
+    });
+
+    test('overrides numeric weights only', () => {
+        process.env.DISCOVERY_RANKING_WEIGHTS = '{"distance":2,"recency":"high","unknown":5}';
+
+        expect(getRankingWeights()).toEqual({ ...DEFAULT_RANKING_WEIGHTS, distance: 2 });
+    });
+
+    test('falls back to the defaults on invalid JSON', () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        process.env.DISCOVERY_RANKING_WEIGHTS = '{distance:2';
+
+        expect(getRankingWeights()).toEqual(DEFAULT_RANKING_WEIGHTS);
+    });
+});
@@ -0,0 +1,78 @@
+jest.mock('../../services/notifications');
+jest.mock('../../services/superLikes');
+jest.mock('../../socket/emitter');
+
+const mongoose = require('mongoose');
+const Swipe = require('../../models/Swipe');
+const Match = require('../../models/Match');
+const Chat = require('../../models/Chat');
+const User = require('../../models/User');
+const { refundSuperLike } = require('../../services/superLikes');
+const { removeMatchNotifications, removeSuperLikeNotifications } = require('../../services/notifications');
+const { rewindLastSwipe } = require('../../services/rewind');
+
+const targetId = new mongoose.Types.ObjectId();
+
+const setUp = ({ type, match = null }) => {
+    const user = new User({ name: 'Alex' });
+    const swipe = { _id: new mongoose.Types.ObjectId(), actor: user._id, target: targetId, type, updatedAt: new Date() };
+
+    jest.spyOn(Swipe, 'findOne').mockReturnValue({ sort: () => Promise.resolve(swipe) });
+    jest.spyOn(Swipe, 'exists').mockResolvedValue({ _id: 'their-like' });
+    jest.spyOn(Swipe, 'findOneAndDelete').mockResolvedValue(swipe);
+    jest.spyOn(Match, 'findOne').mockResolvedValue(match);
+    jest.spyOn(Match, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+    jest.spyOn(Chat, 'exists').mockResolvedValue(null);
+    jest.spyOn(User, 'findOneAndUpdate').mockReturnValue({ select: () => Promise.resolve(user) });
+    jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    return { user, swipe };
+};
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+});
+
+describe('rewindLastSwipe', () => {
+    test('takes back the super like notification and keeps the super like used', async () => {
+        const { user } = setUp({ type: 'superlike' });
+        removeSuperLikeNotifications.mockResolvedValue(1);
+
+        const result = await rewindLastSwipe(user);
+
+        expect(result).toMatchObject({ type: 'superlike', matchUndone: false });
+        expect(removeSuperLikeNotifications).toHaveBeenCalledWith(targetId, user._id);
+        expect(refundSuperLike).not.toHaveBeenCalled();
+    });
+
+    test('refunds a super like the target was never told about', async () => {
+        const { user, swipe } = setUp({ type: 'superlike' });
+        removeSuperLikeNotifications.mockResolvedValue(0);
+
+        await rewindLastSwipe(user);
+
+        expect(refundSuperLike).toHaveBeenCalledWith(user, swipe.updatedAt);
+    });
+
+    test('does not refund a super like that made a match', async () => {
+        const match = { _id: new mongoose.Types.ObjectId(), users: [targetId] };
+        const { user } = setUp({ type: 'superlike', match });
+        removeSuperLikeNotifications.mockResolvedValue(0);
+
+        const result = await rewindLastSwipe(user);
+
+        expect(result.matchUndone).toBe(true);
+        expect(removeMatchNotifications).toHaveBeenCalledWith(match);
+        expect(refundSuperLike).not.toHaveBeenCalled();
+    });
+
+    test('leaves notifications alone for other swipes', async () => {
+        const { user } = setUp({ type: 'pass' });
+
+        await rewindLastSwipe(user);
+
+        expect(removeSuperLikeNotifications).not.toHaveBeenCalled();
+        expect(refundSuperLike).not.toHaveBeenCalled();
+    });
+});
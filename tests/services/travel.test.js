@@ -0,0 +1,129 @@
+const User = require('../../models/User');
+const { roundCoordinates } = require('../../utils/geo');
+const {
+    MAX_TRAVEL_DAYS,
+    DEFAULT_TRAVEL_DAYS,
+    getDiscoveryLocation,
+    describeVisiting,
+    describeTravel,
+    startTravel,
+    stopTravel
+} = require('../../services/travel');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const home = { type: 'Point', coordinates: [77.5946, 12.9716] };
+
+const premiumUser = (fields = {}) => new User({ name: 'Alex', isPremium: true, location: home, ...fields });
+
+// Capture the trip startTravel writes and hand it back as the partial user
+const stubUpdate = () => jest.spyOn(User, 'findByIdAndUpdate').mockImplementation((id, update) => ({
+    select: (fields) => Promise.resolve(User.hydrate({ _id: id, ...update }, { [fields]: 1 }))
+}));
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('startTravel', () => {
+    test('is premium only', async () => {
+        const update = stubUpdate();
+
+        await expect(startTravel(new User({ name: 'Alex' }), { cityId: 'paris' }))
+            .rejects.toMatchObject({ status: 403, code: 'PREMIUM_REQUIRED' });
+        expect(update).not.toHaveBeenCalled();
+    });
+
+    test('travels to a named city', async () => {
+        stubUpdate();
+
+        const user = await startTravel(premiumUser(), { cityId: 'paris' });
+
+        expect(describeTravel(user)).toMatchObject({
+            active: true,
+            city: 'Paris, France',
+            longitude: 2.3522,
+            latitude: 48.8566
+        });
+    });
+
+    test('snaps coordinates to the location grid', async () => {
+        stubUpdate();
+
+        const user = await startTravel(premiumUser(), { latitude: '48.8566', longitude: '2.3522' });
+
+        expect(user.travel.location.coordinates).toEqual(roundCoordinates(2.3522, 48.8566));
+        expect(describeTravel(user).city).toBeNull();
+    });
+
+    test('needs a known city or coordinates', async () => {
+        stubUpdate();
+
+        await expect(startTravel(premiumUser(), { cityId: 'atlantis' })).rejects.toMatchObject({ status: 400 });
+        await expect(startTravel(premiumUser(), { latitude: 48.8 })).rejects.toMatchObject({ status: 400 });
+    });
+
+    test('defaults the trip length and caps it', async () => {
+        stubUpdate();
+
+        const short = await startTravel(premiumUser(), { cityId: 'goa' });
+        const long = await startTravel(premiumUser(), { cityId: 'goa', days: 365 });
+
+        const days = (user) => Math.round((user.travel.expiresAt - user.travel.startedAt) / DAY_MS);
+        expect(days(short)).toBe(DEFAULT_TRAVEL_DAYS);
+        expect(days(long)).toBe(MAX_TRAVEL_DAYS);
+    });
+
+    test('ends the trip when premium ends', async () => {
+        stubUpdate();
+        const premiumExpiresAt = new Date(Date.now() + 2 * DAY_MS);
+
+        const user = await startTravel(premiumUser({ premiumExpiresAt }), { cityId: 'goa', days: 10 });
+
+        expect(user.travel.expiresAt).toEqual(premiumExpiresAt);
+    });
+
+    test('returns only the trip', async () => {
+        stubUpdate();
+
+        const user = await startTravel(premiumUser(), { cityId: 'goa' });
+
+        expect(user.isSelected('travel')).toBe(true);
+        expect(user.isSelected('isPremium')).toBe(false);
+    });
+});
+
+describe('discovery location', () => {
+    const trip = (expiresAt) => ({
+        city: 'Tokyo, Japan',
+        location: { type: 'Point', coordinates: [139.6503, 35.6762] },
+        startedAt: new Date(Date.now() - DAY_MS),
+        expiresAt
+    });
+
+    test('searches from the destination while travelling', () => {
+        const user = premiumUser({ travel: trip(new Date(Date.now() + DAY_MS)) });
+
+        expect(getDiscoveryLocation(user).coordinates).toEqual([139.6503, 35.6762]);
+        expect(describeVisiting(user)).toEqual({ city: 'Tokyo, Japan' });
+    });
+
+    test('goes back home once the trip has ended', () => {
+        const user = premiumUser({ travel: trip(new Date(Date.now() - 1000)) });
+
+        expect(getDiscoveryLocation(user).coordinates).toEqual(home.coordinates);
+        expect(describeVisiting(user)).toBeNull();
+        expect(describeTravel(user)).toEqual({ active: false });
+    });
+
+    test('has no location without a home or a trip', () => {
+        expect(getDiscoveryLocation({})).toBeNull();
+    });
+});
+
+describe('stopTravel', () => {
+    test('removes the trip', async () => {
+        const update = jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+        await stopTravel('user-1');
+
+        expect(update).toHaveBeenCalledWith({ _id: 'user-1' }, { $unset: { travel: 1 } });
+    });
+});
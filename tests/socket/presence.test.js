@@ -0,0 +1,59 @@
+const { registerPresenceHandlers } = require('../../socket/presence');
+
+// Just enough of a Socket.IO socket to register and fire handlers
+const createSocket = (rooms = []) => {
+    const handlers = {};
+    const emitted = [];
+
+    return {
+        handlers,
+        emitted,
+        user: { _id: 'user-1' },
+        rooms: new Set(rooms),
+        data: {},
+        connected: true,
+        on: (event, handler) => {
+            handlers[event] = handler;
+        },
+        to: () => ({
+            except: () => ({
+                emit: (event, payload) => emitted.push({ event, payload })
+            })
+        })
+    };
+};
+
+describe('typing handlers', () => {
+    const badPayloads = [undefined, null, 42, 'match-1', true, [], {}, { matchId: null }, { matchId: { $ne: 1 } }];
+
+    test.each(['typing:start', 'typing:stop'])('%s ignores malformed payloads', (event) => {
+        const socket = createSocket(['match:match-1']);
+        registerPresenceHandlers(socket);
+
+        badPayloads.forEach((payload) => {
+            expect(() => socket.handlers[event](payload)).not.toThrow();
+        });
+        expect(socket.emitted).toHaveLength(0);
+    });
+
+    test('relays typing in a joined match', () => {
+        const socket = createSocket(['match:match-1']);
+        registerPresenceHandlers(socket);
+
+        socket.handlers['typing:start']({ matchId: 'match-1' });
+
+        expect(socket.emitted).toEqual([{
+            event: 'typing',
+            payload: { matchId: 'match-1', userId: 'user-1', isTyping: true }
+        }]);
+    });
+
+    test('ignores matches the socket has not joined', () => {
+        const socket = createSocket(['match:match-1']);
+        registerPresenceHandlers(socket);
+
+        socket.handlers['typing:start']({ matchId: 'match-2' });
+
+        expect(socket.emitted).toHaveLength(0);
+    });
+});
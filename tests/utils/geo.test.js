@@ -0,0 +1,135 @@
+const {
+    GRID_KM,
+    DISTANCE_BUCKETS_KM,
+    roundCoordinates,
+    toStoredPoint,
+    bucketDistance
+} = require('../../utils/geo');
+
+const EARTH_RADIUS_KM = 6371;
+
+// Great-circle distance in km, as $geoNear measures it on a sphere
+const distanceKm = ([lng1, lat1], [lng2, lat2]) => {
+    const rad = (degrees) => degrees * Math.PI / 180;
+    const a = Math.sin(rad(lat2 - lat1) / 2) ** 2 +
+        Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(rad(lng2 - lng1) / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+// Points around a position, `stepKm` apart in each direction
+const pointsAround = ([longitude, latitude], count, stepKm) => {
+    const latStep = stepKm / 111.32;
+    const lngStep = latStep / Math.cos(latitude * Math.PI / 180);
+    const points = [];
+    for (let i = -count; i <= count; i++) {
+        for (let j = -count; j <= count; j++) {
+            points.push([longitude + i * lngStep, latitude + j * latStep]);
+        }
+    }
+    return points;
+};
+
+describe('roundCoordinates', () => {
+    test('snaps every point of a cell to the same position', () => {
+        const [longitude, latitude] = roundCoordinates(-0.1276, 51.5072);
+        const nearby = pointsAround([longitude, latitude], 4, 0.2)
+            .filter(point => distanceKm(point, [longitude, latitude]) < 0.9);
+
+        expect(nearby.length).toBeGreaterThan(20);
+        nearby.forEach(point => {
+            expect(roundCoordinates(...point)).toEqual([longitude, latitude]);
+        });
+    });
+
+    test('leaves snapped positions where they are', () => {
+        [[-0.1276, 51.5072], [151.2093, -33.8688], [-21.9426, 64.1466], [25.7482, 78.2232]]
+            .forEach(([longitude, latitude]) => {
+                const snapped = roundCoordinates(longitude, latitude);
+                expect(roundCoordinates(...snapped)).toEqual(snapped);
+            });
+    });
+
+    test.each([0, 45, 70, 80])('keeps cells about %i° as wide as they are tall', (latitude) => {
+        const cell = roundCoordinates(20, latitude);
+        const lngStep = GRID_KM / (111.32 * Math.cos(cell[1] * Math.PI / 180));
+        const east = roundCoordinates(cell[0] + lngStep, cell[1]);
+        const north = roundCoordinates(cell[0], cell[1] + GRID_KM / 111.32);
+
+        // Rows have their own columns, so only the row spacing is compared
+        expect(distanceKm(cell, east)).toBeCloseTo(GRID_KM, 1);
+        expect(distanceKm(cell, [cell[0], north[1]])).toBeCloseTo(GRID_KM, 1);
+    });
+
+    test('moves a position by at most half a cell diagonal', () => {
+        const halfDiagonal = GRID_KM * Math.SQRT2 / 2;
+
+        [0, 45, 70, 80].forEach(latitude => {
+            pointsAround([20, latitude], 5, 0.37).forEach(point => {
+                expect(distanceKm(point, roundCoordinates(...point))).toBeLessThanOrEqual(halfDiagonal + 0.01);
+            });
+        });
+    });
+
+    test('stays on the map at the edges', () => {
+        const [longitude, latitude] = roundCoordinates(200, -95);
+
+        expect(longitude).toBeLessThanOrEqual(180);
+        expect(latitude).toBeGreaterThanOrEqual(-90);
+        expect(toStoredPoint(200, -95)).toEqual({ type: 'Point', coordinates: [longitude, latitude] });
+    });
+});
+
+describe('bucketDistance', () => {
+    test('hides anything under the first bucket', () => {
+        expect(bucketDistance(0)).toEqual({ km: 2, label: 'less than 2 km' });
+        expect(bucketDistance(1999)).toEqual({ km: 2, label: 'less than 2 km' });
+    });
+
+    test('snaps to the nearest bucket', () => {
+        expect(bucketDistance(2000)).toEqual({ km: 2, label: '2 km' });
+        expect(bucketDistance(3400)).toEqual({ km: 2, label: '2 km' });
+        expect(bucketDistance(3600)).toEqual({ km: 5, label: '5 km' });
+        expect(bucketDistance(61000)).toEqual({ km: 50, label: '50 km' });
+        expect(bucketDistance(5000000)).toEqual({ km: 500, label: '500 km' });
+    });
+
+    test('only ever shows a bucket', () => {
+        for (let metres = 0; metres < 600000; metres += 777) {
+            expect(DISTANCE_BUCKETS_KM).toContain(bucketDistance(metres).km);
+        }
+    });
+});
+
+describe('location privacy', () => {
+    // What a viewer learns about a target from one query: whether it is within
+    // maxDistance, and the distance shown. Both sides are stored snapped.
+    const observe = (viewer, target, maxDistanceKm) => {
+        const km = distanceKm(toStoredPoint(...viewer).coordinates, toStoredPoint(...target).coordinates);
+        return km <= maxDistanceKm ? bucketDistance(km * 1000).label : null;
+    };
+
+    test('maxDistance sweeps from many places cannot tell apart two positions in one cell', () => {
+        const cell = roundCoordinates(13.405, 52.52);
+        const [first, second] = pointsAround(cell, 2, 0.4)
+            .filter(point => distanceKm(point, cell) < 0.9)
+            .filter((point, index, all) => index === 0 || index === all.length - 1);
+        expect(distanceKm(first, second)).toBeGreaterThan(1);
+
+        // An attacker walking around the target, sweeping maxDistance in 100 m steps
+        pointsAround(cell, 6, 0.5).forEach(viewer => {
+            for (let maxDistanceKm = 0.1; maxDistanceKm <= 8; maxDistanceKm += 0.1) {
+                expect(observe(viewer, second, maxDistanceKm)).toBe(observe(viewer, first, maxDistanceKm));
+            }
+        });
+    });
+
+    test('positions in different cells may be told apart', () => {
+        const target = [13.405, 52.52];
+        const [longitude, latitude] = roundCoordinates(...target);
+        const nextCell = [longitude, latitude + GRID_KM / 111.32];
+
+        const differs = pointsAround(target, 6, 0.5).some(viewer =>
+            observe(viewer, target, 3) !== observe(viewer, nextCell, 3));
+        expect(differs).toBe(true);
+    });
+});
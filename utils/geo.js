@@ -0,0 +1,58 @@
+// Location privacy helpers. Positions are stored snapped to a grid and
+// distances are shown in buckets, so no sequence of queries can locate a
+// user more precisely than one grid cell.
+
+const KM_PER_DEGREE = 111.32;
+
+// Size of a grid cell; matches the smallest distance bucket
+const GRID_KM = 2;
+
+// Distances shown to other users, in km. Anything under the first is
+// "less than 2 km"; anything else snaps to the nearest bucket.
+const DISTANCE_BUCKETS_KM = [2, 5, 10, 15, 20, 25, 30, 40, 50, 75, 100, 150, 200, 300, 400, 500];
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// Snap a position to the centre of its grid cell. Cells are GRID_KM tall and
+// roughly GRID_KM wide at every latitude. Returns [longitude, latitude].
+const roundCoordinates = (longitude, latitude) => {
+    const latStep = GRID_KM / KM_PER_DEGREE;
+    const row = Math.floor((clamp(latitude, -90, 90) + 90) / latStep);
+    const cellLatitude = clamp(-90 + (row + 0.5) * latStep, -90, 90);
+
+    // Each row gets one longitude step, so every point in a cell snaps alike
+    const cos = Math.max(Math.cos(cellLatitude * Math.PI / 180), 0.01);
+    const lngStep = Math.min(GRID_KM / (KM_PER_DEGREE * cos), 360);
+    const column = Math.floor((clamp(longitude, -180, 180) + 180) / lngStep);
+    const cellLongitude = clamp(-180 + (column + 0.5) * lngStep, -180, 180);
+
+    const round = (value) => Math.round(value * 1e6) / 1e6;
+    return [round(cellLongitude), round(cellLatitude)];
+};
+
+// GeoJSON point for a position, snapped to the grid
+const toStoredPoint = (longitude, latitude) => ({
+    type: 'Point',
+    coordinates: roundCoordinates(longitude, latitude)
+});
+
+// Coarse distance for display: { km, label }
+const bucketDistance = (metres) => {
+    const km = metres / 1000;
+    if (km < DISTANCE_BUCKETS_KM[0]) {
+        return { km: DISTANCE_BUCKETS_KM[0], label: `less than ${DISTANCE_BUCKETS_KM[0]} km` };
+    }
+
+    const bucket = DISTANCE_BUCKETS_KM.reduce((closest, candidate) => (
+        Math.abs(candidate - km) < Math.abs(closest - km) ? candidate : closest
+    ));
+    return { km: bucket, label: `${bucket} km` };
+};
+
+module.exports = {
+    GRID_KM,
+    DISTANCE_BUCKETS_KM,
+    roundCoordinates,
+    toStoredPoint,
+    bucketDistance
+};
@@ -0,0 +1,10 @@
+// Create an error carrying the HTTP status to respond with.
+// Routes and the global error handler in server.js read `status` off errors.
+const createHttpError = (status, message, extra = {}) => {
+    const error = new Error(message);
+    error.status = status;
+    Object.assign(error, extra);
+    return error;
+};
+
+module.exports = createHttpError;
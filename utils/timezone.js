@@ -0,0 +1,57 @@
+// Helpers for per-user local dates. Time zones are IANA names such as
+// 'Asia/Kolkata'; anything invalid falls back to UTC.
+
+const isValidTimeZone = (timeZone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+const safeTimeZone = (timeZone) => (timeZone && isValidTimeZone(timeZone) ? timeZone : 'UTC');
+
+// The local calendar date as YYYY-MM-DD
+const localDateKey = (timeZone, date = new Date()) => new Intl.DateTimeFormat('en-CA', {
+    timeZone: safeTimeZone(timeZone),
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+}).format(date);
+
+// Seconds since local midnight
+const localSecondsOfDay = (timeZone, date) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: safeTimeZone(timeZone),
+        hourCycle: 'h23',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(date);
+    const get = (type) => parseInt(parts.find(part => part.type === type).value);
+
+    return get('hour') * 3600 + get('minute') * 60 + get('second');
+};
+
+// The next local midnight as an instant. The first guess assumes a 24 hour
+// day; one correction step covers days that are shorter or longer (DST).
+const nextLocalMidnight = (timeZone, now = new Date()) => {
+    const start = Math.floor(now.getTime() / 1000) * 1000;
+    let guess = new Date(start + (86400 - localSecondsOfDay(timeZone, now)) * 1000);
+
+    const offset = localSecondsOfDay(timeZone, guess);
+    if (offset !== 0) {
+        // Past midnight by `offset`, or short of it if we landed late the evening before
+        const correction = offset < 43200 ? -offset : 86400 - offset;
+        guess = new Date(guess.getTime() + correction * 1000);
+    }
+
+    return guess;
+};
+
+module.exports = {
+    isValidTimeZone,
+    localDateKey,
+    nextLocalMidnight
+};